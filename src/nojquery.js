@@ -1,681 +1,5014 @@
 ((exports) => {
-    const _creationDiv = document.createElement('div');
-
     /**
-     * Function that builds an array of elements to work with. The elements may be
-     *      - HTML elements (e.g. obtained using document.querySelector(...))
-     *      - Selectors (i.e. ready to be used with querySelector or querySelectorAll functions)
-     *              (e.g. "#myid", "#myid .btn:not(.btn-primary)", ...)
-     *      - Functions to be executed upon loading the DOM.
-     *      - Array of any of these elements
-     * 
-     * The idea is that it is possible to add multiple objects without the need of being
-     *      related between them. e.g. $("#myid", "#myotherid", [ element1, element2 ])
-     * 
-     * Moreover, it is possible to use the result of other $(...) calls.
-     * 
-     * (*) If no parameter is included (i.e. calling like "$()"), it is a shortcut for $(document)
+     * Function that creates an instance of nojQuery bound to a window (e.g. the window of an iframe, a popup, or
+     *      a jsdom instance), so that the elements are queried, created and checked against that window
      * 
-     * (*) There is a concept of "context", which makes that it is possible to make subqueries, to the
-     *      selected elements (using call to $()), using the same mechanism. So that is is possible to
-     *      get all the .btn for two different #obj1 and #obj2 by calling like this: 
+     * (*) the global build creates an instance for the global window and publishes it as _$; the module builds
+     *      export this function, along with that instance if there is a global window
      * 
-     *          > _$('#obj1', '#obj2')._$('.btn')
-     * 
-     * @param  {...any} elements to be included in the set
-     * @returns an array of HTML elements whose prototype has been enhanced by adding the nojQuery functions
+     * @param {*} target: the window or the document to work with (if the document has no window, e.g. it has been
+     *      created using document.implementation.createHTMLDocument, the global window is used for the rest of objects)
+     * @returns the function $ (i.e. _$) for that window
      */
-    function $(...elements) {
-        const isHTML = (element) => element instanceof Element || element instanceof HTMLDocument;
-        let context = this._$version === undefined?[ document ]:this;
-
-        let htmlObjects = [];
-        if (elements.length === 0) {
-            elements = [ ...context ];
+    function createNojQuery(target) {
+        let window = target;
+        let document = target?.document;
+        if ((target !== undefined) && (target !== null) && (target.nodeType === 9)) {
+            document = target;
+            window = target.defaultView ?? globalThis.window;
         }
+        if ((window === undefined) || (window === null) || (document === undefined) || (document === null)) {
+            throw new TypeError("nojQuery needs a window or a document to work with");
+        }
+        const { Node, NodeList, HTMLCollection, Element, HTMLDocument, DocumentFragment, HTMLTemplateElement, Event, CustomEvent, MutationObserver, ResizeObserver, IntersectionObserver, FileReader, FormData, Blob, URLSearchParams, AbortController } = window;
+        /**
+         * Function that builds an array of elements to work with. The elements may be
+         *      - HTML elements (e.g. obtained using document.querySelector(...)), documents and document fragments (e.g. a
+         *              ShadowRoot or the content of a <template>)
+         *      - Selectors (i.e. ready to be used with querySelector or querySelectorAll functions)
+         *              (e.g. "#myid", "#myid .btn:not(.btn-primary)", ...)
+         *      - HTML fragments (i.e. strings that start with "<"), that are parsed using _$.parseHTML to create
+         *              new elements (unless _$.strict is true, where the strings are always considered as selectors)
+         *      - Functions to be executed once the DOM is ready (see _$.ready).
+         *      - Array of any of these elements
+         * 
+         * The idea is that it is possible to add multiple objects without the need of being
+         *      related between them. e.g. $("#myid", "#myotherid", [ element1, element2 ])
+         * 
+         * Moreover, it is possible to use the result of other $(...) calls.
+         * 
+         * (*) If no parameter is included (i.e. calling like "$()"), it is a shortcut for $(document)
+         * 
+         * (*) There is a concept of "context", which makes that it is possible to make subqueries, to the
+         *      selected elements (using call to $()), using the same mechanism. So that is is possible to
+         *      get all the .btn for two different #obj1 and #obj2 by calling like this: 
+         * 
+         *          > _$('#obj1', '#obj2')._$('.btn')
+         * 
+         *      The contexts may also be shadow roots or document fragments; if a context is a <template> element,
+         *      the search is made in its content.
+         * 
+         * (*) the elements in the resulting collection are unique and they are sorted in document order.
+         * 
+         * @param  {...any} elements to be included in the set
+         * @returns a collection (i.e. an array of HTML elements whose prototype includes the nojQuery functions)
+         */
+        function $(...elements) {
+            const isHTML = (element) => element instanceof Element || element instanceof HTMLDocument || element instanceof DocumentFragment;
+            let context = this instanceof Collection? this : [ document ];
 
-        for (let i in elements) {
-            let element = elements[i];
-            if (typeof element === "string") {
-                _creationDiv.innerHTML = element;
-                if (_creationDiv.children.length > 0) {
-                    // It was an HTML document to create the elements, so we acquire them and clear the placeholder
-                    htmlObjects.push(..._creationDiv.children);
-                    _creationDiv.innerHTML = "";
-                } else {
-                    // It is suposed to be a selector for the different contexts
-                    context.forEach((ctx, _) => {
-                        htmlObjects.push(...ctx.querySelectorAll(element))
-                    })
-                }
-            } else if (isHTML(element)) {
-                htmlObjects.push(element);
-            } else if (Array.isArray(element)) {
-                for (let i in element) {
-                    if (isHTML(element[i])) {
-                        htmlObjects.push(element[i]);
+            let htmlObjects = [];
+            if (elements.length === 0) {
+                elements = [ ...context ];
+            }
+
+            // The elements obtained from a single query (or HTML fragment) are already unique and in document order, so
+            //  they only need to be sorted when merging several sources (each item in an array counts as a source)
+            let sources = 0;
+
+            for (let i in elements) {
+                let element = elements[i];
+                if (typeof element === "string") {
+                    if ((!$.strict) && /^\s*</.test(element)) {
+                        // It is an HTML fragment to create the elements
+                        htmlObjects.push(...$.parseHTML(element).filter(isHTML));
+                        sources++;
+                    } else {
+                        // It is suposed to be a selector for the different contexts
+                        context.forEach((ctx, _) => {
+                            htmlObjects.push(..._querySelectorAll(ctx, element))
+                            sources++;
+                        })
+                    }
+                } else if (isHTML(element)) {
+                    htmlObjects.push(element);
+                    sources++;
+                } else if (Array.isArray(element)) {
+                    for (let i in element) {
+                        if (isHTML(element[i])) {
+                            htmlObjects.push(element[i]);
+                            sources++;
+                        }
                     }
+                } else if (typeof element === "function") {
+                    $.ready(element);
+                } else {
+                    console.log("Element not recognized: ", element);
                 }
-            } else if (typeof element === "function") {
-                $(document).on("DOMContentLoaded", element);
-            } else {
-                console.log("Element not recognized: ", element);
             }
+            return _createCollection(htmlObjects, sources > 1);
         }
-        Object.assign(htmlObjects, $);
-        return htmlObjects;
-    }
 
-    /**
-     * The version of the library
-     */
-    $._$version = "1.2.1";
+        /**
+         * The class of the collections returned by $(...elements). It is an array of HTML elements (so that it is possible to use
+         *      the array functions, e.g. forEach), whose prototype includes the nojQuery functions.
+         * 
+         * (*) the array functions that create new arrays (e.g. slice or concat) return plain arrays, because
+         *     the collections are created using $(...elements).
+         */
+        class Collection extends Array {
+            static get [Symbol.species]() {
+                return Array;
+            }
+        }
 
-    /**
-     * Function that adds a class name or a set of class names to the objects. It can be used
-     *      both $(...).addClass("class1") as $(...).addClass("class1", "class2", ...)
-     * @param {string} classNames: list of class names to add
-     */
-    $.addClass = function (...classNames) {
-        this.forEach( (element, _) => {
-            classNames.forEach((className, _) => element.classList.add(className));
-        });
-        return this;
-    }
+        /**
+         * The prototype of the collections, where the nojQuery functions are defined (as jQuery.fn)
+         */
+        const fn = Collection.prototype;
 
-    /**
-     * Function that removes a class name or a set of class names from the objects. It can be used
-     *      both $(...).removeClass("class1") as $(...).removeClass("class1", "class2", ...)
-     * @param {string} classNames: list of class names to remove
-     */
-    $.removeClass = function (...classNames) {
-        this.forEach( (element, _) => {
-            classNames.forEach((className, _) => element.classList.remove(className));
-        });
-        return this;
-    }
+        /**
+         * Auxiliary function that searches for the elements that match a selector inside a context
+         * @param {*} context: the element, document or document fragment in which to search (if it is a <template> element,
+         *      the search is made in its content)
+         * @param {string} selector: the selector
+         * @param {boolean} deep: if true, the search also enters in the open shadow roots of the elements in the
+         *      context (and of the context itself), recursively
+         * @returns an array with the elements found
+         */
+        function _querySelectorAll(context, selector, deep = false) {
+            if (context instanceof HTMLTemplateElement) {
+                context = context.content;
+            }
+            let result = Array.from(context.querySelectorAll(selector));
+            if (deep) {
+                [ context, ...context.querySelectorAll("*") ].forEach((host) => {
+                    if ((host.shadowRoot !== undefined) && (host.shadowRoot !== null)) {
+                        result.push(..._querySelectorAll(host.shadowRoot, selector, true));
+                    }
+                });
+            }
+            return result;
+        }
 
-    /**
-     * Function that checks if the first element in the collection has a class name
-     * @param {string} className: the class name to check
-     * @returns true if the first element in the collection has the class name, false otherwise
-     *         (or if the collection is empty)
-     */
-    $.hasClass = function (className) {
-        if (this.length === 0) {
-            return false;
+        /**
+         * Auxiliary function that creates a collection from a list of elements, removing the duplicates and sorting
+         *      them in document order
+         * @param {*} elements: the list of elements
+         * @param {boolean} sort: if false, the elements are known to be unique and in document order (e.g. they were
+         *      obtained from a single query), so they are not sorted
+         * @returns a new collection with the elements
+         */
+        function _createCollection(elements, sort = true) {
+            let collection = new Collection();
+            ((sort && (elements.length > 1))? _uniqueSort(elements) : elements).forEach((element) => collection.push(element));
+            return collection;
         }
-        return this[0].classList.contains(className);
-    }
 
-    /**
-     * Function that toggles a class name or a set of class names from the objects. It can be used
-     *     both $(...).toggleClass("class1") as $(...).toggleClass("class1", "class2", ...)
-     * @param {string} classNames: list of class names to toggle
-     * @returns the collection of objects
-     */
-    $.toggleClass = function (...classNames) {
-        this.forEach( (element, _) => {
-            classNames.forEach((className, _) => element.classList.toggle(className));
-        });
-        return this;
-    }
+        /**
+         * Make that "instanceof" works for the collections (i.e. _$('#myid') instanceof _$)
+         */
+        $.prototype = fn;
 
-    /**
-     * Auxiliary function that retrieves the event handlers for an element and an event. It makes
-     *   sure that the event handlers structure is created for the element and the event.
-     * @param {*} element: the element to retrieve the event handlers
-     * @param {*} eventHandler: the event handler to retrieve
-     * @returns the list of event handlers for the element and the event
-     */
-    function _getEventHandlers(element, eventHandler) {
-        if (element.__eventHandlers === undefined) {
-            element.__eventHandlers = {};
-        }
-        if (element.__eventHandlers[eventHandler] === undefined) {
-            element.__eventHandlers[eventHandler] = [];
-            element.addEventListener(eventHandler, (event) => {
-                element.__eventHandlers[eventHandler].forEach( (handler, i) => {
-                    handler(event);
-                })
-            });
+        /**
+         * The version of the library
+         */
+        $._$version = "1.2.1";
+
+        /**
+         * The names of the built-in methods of the collections, to warn when a plugin overrides one of them (it is filled
+         *      when the library has been defined)
+         */
+        const _builtinMethods = new Set();
+
+        /**
+         * Auxiliary function that adds a method to the collections, warning if it clashes with a built-in method
+         * @param {string} name: the name of the method
+         * @param {function} method: the method; it is called bound to the collection
+         */
+        function _addPlugin(name, method) {
+            if (_builtinMethods.has(name)) {
+                console.warn(`nojQuery: plugin "${name}" overrides a built-in method`);
+            }
+            fn[name] = method;
         }
-        return element.__eventHandlers[eventHandler];
-    }
 
-    /**
-     * Function that adds a event handler for an HTML event
-     * @param {*} eventName: the name of the event (e.g. click, drop, etc.)
-     * @param {*} eventHandler: the handler to add. The handlers are executed in
-     *      the order that they are added
-     */
-    $.on = function ( eventName, eventHandler = (content) => {}) {
-        this.forEach((element, i) => {
-            _getEventHandlers(element, eventName).push(eventHandler);
+        /**
+         * The object that holds the methods of the collections, as in jQuery: setting a function in it
+         *      (e.g. _$.fn.myPlugin = function() { ... }) makes it available in every collection, bound to the collection.
+         *      It is also possible to add a set of methods using _$.fn.extend({ myPlugin1: ..., myPlugin2: ... }).
+         */
+        $.fn = new Proxy(fn, {
+            get: (target, name) => name === "extend"? $.extend : target[name],
+            set: (target, name, method) => {
+                _addPlugin(name, method);
+                return true;
+            }
         });
-        return this;
-    }
-    /**
-     * Function that removes a event handler for an HTML event.
-     * @param {*} eventName: the name of the event (e.g. click, drop, etc.)
-     * @param {*} eventHandler: the handler to remove. If not set, it will remove
-     *      all the handlers. 
-     */
-    $.off = function (eventName, eventHandler = null) {
-        this.forEach((element, i) => {
-            let handlers = _getEventHandlers(element, eventName);
-            if (eventHandler === null) {
-                handlers.splice(0, handlers.length);
-            } else {
-                let i = 0;
-                while (i < handlers.length) {
-                    if (handlers[i] == eventHandler) {
-                        handlers.splice(i, 1);
-                    } else {
-                        i++;
-                    }
+
+        /**
+         * Function that adds methods to the collections (i.e. plugins) or merges objects, as in jQuery:
+         *      - _$.extend({ myPlugin1: function() { ... }, ... }): adds the methods to every collection (see _$.fn)
+         *      - _$.extend(target, object1, object2, ...): merges the objects into target and returns it
+         *      - _$.extend(true, target, object1, object2, ...): merges the objects into target, recursively
+         * @param  {...any} objects: the methods to add, or the objects to merge
+         * @returns the target object (or _$ when adding methods)
+         */
+        $.extend = function(...objects) {
+            if ((objects.length === 1) && (typeof objects[0] === "object")) {
+                for (let name in objects[0]) {
+                    _addPlugin(name, objects[0][name]);
                 }
+                return $;
             }
-        })
-        return this;
-    }
-    /**
-     * Function to get or to set the value(s) of attribute(s).
-     * if param1 is string:
-     *      - attr(attrName): retrieves the attribute attrName of the first element in the collection
-     *      - attr(attrName, attrValue): sets the attribute attrName to value attrValue for all the elements in the collection
-     * 
-     * if param1 is an array
-     *      - attr(attrNames, convertCamelcaseToSnakecase): retrieves a list that contains the values for 
-     *          each attrName in attrNames
-     * 
-     * if param1 is an object
-     *      - attr(attrNameValues, convertCamelcaseToSnakecase): attrNameValues is a dictionary of values { attrName: attrValue }
-     *          to be set for each element in the collection.
-     * 
-     *        (*) the resulting dict has a function [removeNulls] attached to it that is able 
-     *            to remove the keys with null values. 
-     *                  E.g. {v1:null,v2:"val1",v3:3} => {v2:"val1",v3:3}
-     * 
-     * (*) the attributes are written in the form  <attributeName[:type]> where the type may be one of [ string, bool, int, 
-     *     float ] and the value will be casted to the specific type. If ommited, the type is a string.
-     */
-    $.attr = function (param1, param2) {
-        // If param1 is a string, we are using the construction
-        //      attr(attrName, attrValue), to set the value of attrName to attrValue
-        // or
-        //      attr(attrName), to obtain the value of attrName of the first element in the collection
-        if (typeof param1 === "string") {
-            let attrName = param1;
-            let attrValue = param2;
-            if (arguments.length == 1) {
-                if (this.length >= 1) {
-                    return getAttribute(this[0], attrName);
-                }
-                return null;
+            let deep = false;
+            if (typeof objects[0] === "boolean") {
+                deep = objects.shift();
             }
-            this.forEach((element, _) => {
-                element.setAttribute(attrName, attrValue);
-            })
-        } else
-        // If param1 is an array, we are using the construction
-        //      attr(listOfAttributes, convertCamelcaseToSnakecase = false), to obtain a list of values
-        //          of each of the attributes in the list. If convertCamelcaseToSnakecase is set to true,
-        //          the name of the attribute is converted from "camelCase" to "snake-case" before obtaining
-        //          the value of the attribute.
-        if (Array.isArray(param1)) {
-            // It is an array of attributes
-            let attributes = param1;
-            let convertCamelcaseToSnakecase = typeof param2 === "boolean"? param2: false;
-            let result = {};
-            let element = this[0]??null;
-            attributes.forEach((attributeName, _) => {
-                result[attributeName] = getAttribute(element, attributeName, convertCamelcaseToSnakecase);
-            });
-            result.removeNulls = function() {
-                Object.keys(this).forEach((key) => {
-                    if (this[key] === null) {
-                        delete this[key];
+            let target = objects.shift() ?? {};
+            let isPlainObject = (value) => Object.prototype.toString.call(value) === "[object Object]";
+            objects.forEach((object) => {
+                for (let name in object) {
+                    let value = object[name];
+                    if (deep && (isPlainObject(value) || Array.isArray(value))) {
+                        let current = target[name];
+                        if (Array.isArray(value)) {
+                            current = Array.isArray(current)? current : [];
+                        } else {
+                            current = isPlainObject(current)? current : {};
+                        }
+                        target[name] = $.extend(true, current, value);
+                    } else if (value !== undefined) {
+                        target[name] = value;
                     }
-                })
-                return this;
-            }.bind(result);
-            return result;
-        } else 
-        // If param1 is an object, we are using the construction
-        //      attr(object, convertCamelCaseToSnakeCase = false), to set the attributes of the object
-        //          interpreting that each key in the object { attr1: attrValue1, attr2: attrValue2 ... }
-        //          is an attribute to set. If convertCamelcaseToSnakecase is true, the attribute names
-        //          are converted from "camelCase" to "snake-case" before setting the value of the attribute
-        if (typeof param1 === 'object') {
-            let attributes = param1;
-            let convertCamelcaseToSnakecase = typeof param2 === "boolean"? param2: false;
-            this.forEach((element, _) => {
-                for (let attributeName in attributes) {
-                    let attributeNameToSet = convertCamelcaseToSnakecase? camelcaseToSnakecase(attributeName) : attributeName;
-                    element.setAttribute(attributeNameToSet, attributes[attributeName]);
                 }
-            })    
+            });
+            return target;
         }
-        return this;
-    }
 
-    /**
-     * Function that makes an object droppable (i.e. it is possible to drop files, images, etc.)
-     *      on it. When dropping anything, one of the two callbacks will be called.
-     *      onDropFile (when the dropped thing is a file or a set of files), or onDropOther,
-     *      when the thing dropped is other than a file.
-     * @param {function} onDropFile: called when the thing dropped is a file or a set of files; in that
-     *      case, the parameter will be a set of files
-     * @param {function} onDropOther: called when the things dropped are not files
-     */
-    $.droppable = function (onDropFiles = (file) => {}, onDropOther = (content) => {}) {
-        this.forEach((element, i) => {
-            $(element).on('dragover', (event) => event.preventDefault());
-            $(element).on('drop', (event) => {
-                event.preventDefault();
-                if ((event.dataTransfer.files) && (event.dataTransfer.files.length > 0)) {
-                    onDropFiles(event.dataTransfer.files);
-                } else {
-                    onDropOther(event.dataTransfer);
+        /**
+         * If true, the strings passed to $(...elements) are always considered as selectors, so that a selector obtained from
+         *      user data cannot create elements; the elements must be created explicitly (e.g. using _$.parseHTML or _$.html)
+         */
+        $.strict = false;
+
+        /**
+         * The callbacks waiting for the document to be ready (i.e. parsed) or loaded (i.e. including all the resources)
+         */
+        const _readyQueues = { ready: [], load: [] };
+
+        /**
+         * Auxiliary function that checks if the document has reached a state
+         * @param {string} state: "ready" (the document has been parsed) or "load" (all the resources have been loaded)
+         * @returns true if the document has reached the state
+         */
+        function _isDocumentIn(state) {
+            return state === "ready"? document.readyState !== "loading" : document.readyState === "complete";
+        }
+
+        /**
+         * Auxiliary function that runs a ready callback bound to the document; the errors are reported but not propagated,
+         *      so that an error in a callback does not prevent the rest of callbacks from running
+         * @param {function} callback: the callback, that receives _$ as parameter
+         */
+        function _runReadyCallback(callback) {
+            try {
+                callback.call(document, $);
+            } catch (error) {
+                console.error("nojQuery: error in a ready callback", error);
+            }
+        }
+
+        /**
+         * Auxiliary function that runs a callback once the document reaches a state; if the state has already been reached
+         *      (e.g. the script was loaded using async or defer), the callback runs right away
+         * @param {string} state: "ready" or "load" (see _isDocumentIn)
+         * @param {function} callback: the callback (optional)
+         * @returns a promise that is resolved to _$ once the document reaches the state (and the callback has run)
+         */
+        function _whenDocument(state, callback) {
+            return new Promise((resolve) => {
+                const run = () => {
+                    if (typeof callback === "function") {
+                        _runReadyCallback(callback);
+                    }
+                    resolve($);
+                };
+                // The callbacks queued before (if any) run first, to keep the order
+                if (_isDocumentIn(state) && (_readyQueues[state].length === 0)) {
+                    run();
+                    return;
+                }
+                if (_readyQueues[state].length === 0) {
+                    const flush = () => {
+                        let callbacks = _readyQueues[state];
+                        _readyQueues[state] = [];
+                        callbacks.forEach((callback) => callback());
+                    };
+                    if (state === "ready") {
+                        document.addEventListener("DOMContentLoaded", flush, { once: true });
+                    } else {
+                        window.addEventListener("load", flush, { once: true });
+                    }
                 }
+                _readyQueues[state].push(run);
             });
-        })
-        return this;
-    }
+        }
 
-    /**
-     * Function that sets the value of a data attribute for all the elements of the collection, or
-     *     retrieves the value of the data attribute for the first element in the collection. If
-     *     the attributeValue is not set, the function will return the value of the attribute for 
-     *     the first element in the collection.
-     * @param {string} attributeName: the name of the attribute to set or retrieve
-     * @param {string} attributeValue: the value to set for the attribute
-     * @returns the value of the attribute for the first element in the collection
-     *         or the collection of objects
-     */
-    $.data = function (attributeName, attributeValue) {
-        if (attributeValue === undefined) {
-            if (this.length === 0) {
-                return null;
-            }
-            return this[0].dataset[attributeName];
+        /**
+         * Function that runs a callback once the DOM is ready (i.e. the document has been parsed), or right away if it
+         *      is already ready. The callbacks are called bound to the document and receive _$ as parameter. It is the same
+         *      as calling _$(callback).
+         * @param {function} callback: the callback (optional)
+         * @returns a promise that is resolved to _$ once the DOM is ready (e.g. await _$.ready())
+         */
+        $.ready = function(callback) {
+            return _whenDocument("ready", callback);
         }
-        this.forEach((x) => x.dataset[attributeName] = attributeValue);
-        return this;
-    }
 
-    /**
-     * Function that sets the width of the elements in the collection, or retrieves the width of the first
-     *   element in the collection. If the width is not set, the function will return the width of the first
-     *   element in the collection.
-     * @param {number} width: the width in pixels to set for the elements
-     * @returns the width of the first element in the collection
-     */
-    $.width = function(width) {
-        if (width === undefined) {
-            if (this.length === 0) {
-                return 0;
-            }
-            return this[0].offsetWidth;
+        /**
+         * Function that runs a callback once the document and all its resources (e.g. images or stylesheets) have been
+         *      loaded, or right away if they are already loaded (it is the equivalent to the "load" event of the window)
+         * @param {function} callback: the callback (optional)
+         * @returns a promise that is resolved to _$ once everything has been loaded
+         */
+        $.loaded = function(callback) {
+            return _whenDocument("load", callback);
         }
-        if (typeof width === "string") {
-            width = parseInt(width);
-            if (!isNaN(width)) {
-                width = width + "px";
-            }
+
+        /**
+         * Function that runs a callback once the DOM is ready (see _$.ready), for compatibility with $(document).ready(...)
+         * @param {function} callback: the callback
+         * @returns the collection of objects
+         */
+        fn.ready = function(callback) {
+            $.ready(callback);
+            return this;
         }
-        this.forEach((x) => x.style.width = width);
-        return this;
-    }
 
-    /**
-     * Function that sets the height of the elements in the collection, or retrieves the height of the first
-     *   element in the collection. If the height is not set, the function will return the height of the first
-     *   element in the collection.
-     * @param {number} height: the height in pixels to set for the elements
-     * @returns the height of the first element in the collection
-     */
-    $.height = function(height) {
-        if (height === undefined) {
-            if (this.length === 0) {
-                return 0;
+        /**
+         * The elements that are removed when sanitizing HTML content, because they may run code or load external content
+         */
+        const _unsafeElements = "script, iframe, frame, frameset, object, embed, base, link, meta, style, template, noscript";
+
+        /**
+         * The attributes that contain URLs, that are removed when sanitizing HTML content if they use an unsafe scheme
+         */
+        const _urlAttributes = [ "href", "src", "action", "formaction", "xlink:href", "background", "poster", "data", "cite" ];
+
+        /**
+         * The attributes of the SVG animation elements (e.g. <animate> or <set>) that set the value of another attribute, so
+         *      they may set a URL attribute (e.g. attributeName="href") to a javascript: URL; they may contain lists of values
+         */
+        const _animationAttributes = [ "values", "to", "from", "by" ];
+
+        /**
+         * Auxiliary function that sanitizes the content of a DocumentFragment: removes the unsafe elements, the event handler
+         *      attributes (e.g. onclick or onerror) and the URLs that use the javascript: or vbscript: schemes (or data: for
+         *      anything but images). The values of the SVG animations that contain any of these schemes are also removed.
+         * @param {DocumentFragment} fragment: the fragment to sanitize
+         */
+        function _sanitizeFragment(fragment) {
+            fragment.querySelectorAll(_unsafeElements).forEach((element) => element.remove());
+            fragment.querySelectorAll("*").forEach((element) => {
+                Array.from(element.attributes).forEach((attribute) => {
+                    if (_isUnsafeAttribute(attribute.name, attribute.value)) {
+                        element.removeAttribute(attribute.name);
+                    }
+                });
+            });
+        }
+
+        /**
+         * Auxiliary function that checks if an attribute is removed when sanitizing (see _sanitizeFragment): the event
+         *      handlers, srcdoc, the URLs with unsafe schemes and the values of the SVG animations that contain them
+         * @param {string} name: the name of the attribute
+         * @param {string} value: the value of the attribute
+         * @returns true if the attribute is not safe
+         */
+        function _isUnsafeAttribute(name, value) {
+            name = name.toLowerCase();
+            value = String(value).replace(/[\u0000-\u0020]+/g, "");
+            return name.startsWith("on") || (name === "srcdoc") ||
+                (_urlAttributes.includes(name) && /^(javascript:|vbscript:|data:(?!image\/))/i.test(value)) ||
+                (_animationAttributes.includes(name) && /(javascript|vbscript|data):/i.test(value));
+        }
+
+        /**
+         * Function that parses a string of HTML and returns the list of nodes that it contains. The string is parsed in a
+         *      <template> element, so the content is inert while parsing (e.g. the images are not loaded, so their onerror
+         *      handlers are not fired) and the elements that need a specific parent (e.g. <tr> or <option>) are parsed properly.
+         * @param {string} html: the HTML to parse
+         * @param {*} options: an object { sanitize, keepScripts }, where
+         *      - sanitize (default: false): if true, the elements that may run code or load external content (e.g. script, iframe
+         *          or object), the event handler attributes (e.g. onclick) and the javascript: URLs are removed
+         *      - keepScripts (default: false): if false, the script elements are removed (they are always removed if sanitizing)
+         * @returns an array with the nodes (including the text nodes) obtained from the HTML
+         */
+        $.parseHTML = function(html, { sanitize = false, keepScripts = false } = {}) {
+            let template = document.createElement("template");
+            template.innerHTML = html;
+            let fragment = template.content;
+            if (sanitize) {
+                _sanitizeFragment(fragment);
+            } else if (!keepScripts) {
+                fragment.querySelectorAll("script").forEach((script) => script.remove());
             }
-            return this[0].offsetHeight;
+            let nodes = Array.from(fragment.childNodes);
+            nodes.forEach((node) => node.remove());
+            return nodes;
         }
-        if (typeof height === "string") {
-            height = parseInt(height);
-            if (!isNaN(height)) {
-                height = height + "px";
+
+        /**
+         * Auxiliary function that escapes the special characters of HTML in a string
+         * @param {string} text: the text to escape
+         * @returns the escaped text
+         */
+        function _escapeHTML(text) {
+            return String(text).replace(/[&<>"']/g, (character) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[character]);
+        }
+
+        /**
+         * Auxiliary function that converts a value interpolated in the _$.html tagged template to HTML: the strings (and any
+         *      other value) are escaped, the elements and collections are included as they are (i.e. their outerHTML), the
+         *      arrays are converted item by item and null, undefined and false are omitted.
+         * @param {*} value: the interpolated value
+         * @returns the HTML for the value
+         */
+        function _interpolateHTML(value) {
+            if ((value === null) || (value === undefined) || (value === false)) {
+                return "";
             }
+            if (Array.isArray(value)) {
+                return Array.prototype.map.call(value, _interpolateHTML).join("");
+            }
+            if (value instanceof Element) {
+                return value.outerHTML;
+            }
+            return _escapeHTML(value);
         }
-        this.forEach((x) => x.style.height = height);
-        return this;
-    }
 
-    /**
-     * Function that retrieves the offset position of the first element in the collection
-     * @returns an object with the properties top and left that represent the offset position
-     *     of the first element in the collection { top: <top>, left: <left> } where <top> and 
-     *     <left> are the offset positions in pixels
-     */
-    $.offset = function() {
-        if (this.length === 0) {
-            return { top: 0, left: 0 };
+        /**
+         * Tagged template to create elements from HTML, escaping the interpolated values so that they cannot inject markup
+         *      (e.g. _$.html`<li class="user">${user.name}</li>`). The elements and collections interpolated are included as
+         *      HTML, so that it is possible to nest templates (e.g. _$.html`<ul>${users.map((u) => _$.html`<li>${u}</li>`)}</ul>`).
+         * @param {*} strings: the literal parts of the template
+         * @param  {...any} values: the interpolated values
+         * @returns a collection with the elements created (the script elements are removed)
+         */
+        $.html = function(strings, ...values) {
+            let html = strings.reduce((result, string, i) => result + _interpolateHTML(values[i - 1]) + string);
+            return _createCollection($.parseHTML(html).filter((node) => node instanceof Element), false);
         }
-        let rect = this[0].getBoundingClientRect();
-        return {
-            top: rect.top + window.scrollY,
-            left: rect.left + window.scrollX
+
+        /**
+         * Function that adds a class name or a set of class names to the objects. It can be used
+         *      both $(...).addClass("class1") as $(...).addClass("class1", "class2", ...)
+         * @param {string} classNames: list of class names to add
+         */
+        fn.addClass = function (...classNames) {
+            this.forEach( (element, _) => {
+                classNames.forEach((className, _) => element.classList.add(className));
+            });
+            return this;
         }
-    }
 
-    /**
-     * Function that retrieves the outer height of the first element in the collection
-     * @returns the outer height of the first element in the collection in pixels
-     *         or 0 if the collection is empty
-     */
-    $.outerHeight = function() {
-        if (this.length === 0) {
-            return 0;
+        /**
+         * Function that removes a class name or a set of class names from the objects. It can be used
+         *      both $(...).removeClass("class1") as $(...).removeClass("class1", "class2", ...)
+         * @param {string} classNames: list of class names to remove
+         */
+        fn.removeClass = function (...classNames) {
+            this.forEach( (element, _) => {
+                classNames.forEach((className, _) => element.classList.remove(className));
+            });
+            return this;
         }
-        return this[0].offsetHeight;
-    }
 
-    /**
-     * Function that retrieves the outer width of the first element in the collection
-     * @returns the outer width of the first element in the collection in pixels
-     *        or 0 if the collection is empty
-     */
-    $.outerWidth = function() {
-        if (this.length === 0) {
-            return 0;
+        /**
+         * Function that checks if the first element in the collection has a class name
+         * @param {string} className: the class name to check
+         * @returns true if the first element in the collection has the class name, false otherwise
+         *         (or if the collection is empty)
+         */
+        fn.hasClass = function (className) {
+            if (this.length === 0) {
+                return false;
+            }
+            return this[0].classList.contains(className);
         }
-        return this[0].offsetWidth;
-    }
 
-    /**
-     * Function that retrieves the position of the first element in the collection
-     * @returns an object with the properties top and left that represent the position
-     *    of the first element in the collection { top: <top>, left: <left> } where <top> and
-     *   <left> are the positions in pixels
-     */
-    $.position = function() {
-        if (this.length === 0) {
-            return { top: 0, left: 0 };
+        /**
+         * Function that toggles a class name or a set of class names from the objects. It can be used
+         *     both $(...).toggleClass("class1") as $(...).toggleClass("class1", "class2", ...)
+         * @param {string} classNames: list of class names to toggle
+         * @returns the collection of objects
+         */
+        fn.toggleClass = function (...classNames) {
+            this.forEach( (element, _) => {
+                classNames.forEach((className, _) => element.classList.toggle(className));
+            });
+            return this;
         }
-        let rect = this[0].getBoundingClientRect();
-        return {
-            top: rect.top,
-            left: rect.left
+
+        /**
+         * Auxiliary function that splits an event name written as <type[.namespace1[.namespace2...]]> into its
+         *   type and its list of namespaces (e.g. "click.menu.main" => { type: "click", namespaces: [ "menu", "main" ] })
+         * @param {string} eventName: the name of the event
+         * @returns an object { type: <type>, namespaces: <list of namespaces> }
+         */
+        function _parseEventName(eventName) {
+            let parts = eventName.split(".");
+            return {
+                type: parts[0],
+                namespaces: parts.slice(1).filter((namespace) => namespace !== "")
+            };
         }
-    }
 
-    /**
-     * Function that clears the content of the elements in the collection by setting the innerHTML
-     *     to an empty string.
-     * @returns the collection of objects
-     */
-    $.empty = function() {
-        this.forEach((x) => x.innerHTML = "");
-        return this;
-    }
+        /**
+         * Auxiliary function that splits a string with a list of event names separated by spaces (e.g. "click.menu keydown")
+         * @param {string} eventNames: the list of event names
+         * @returns an array with the parsed event names (see _parseEventName)
+         */
+        function _parseEventNames(eventNames) {
+            return eventNames.split(/\s+/).filter((eventName) => eventName !== "").map(_parseEventName);
+        }
 
-    /**
-     * Function that removes the elements in the collection from the DOM
-     * @returns the collection of objects
-     */
-    $.remove = function() {
-        this.forEach((x) => x.remove());
-        return this;
-    }
+        /**
+         * Auxiliary function that obtains the key that identifies the native listener to use for a set of options; the
+         *   handlers are grouped by type of event and these options, because they have to be passed to addEventListener
+         * @param {*} options: the options for the native listener (i.e. capture and passive)
+         * @returns the key for the options
+         */
+        function _getListenerKey(options) {
+            return `${options.capture?"capture":"bubble"}${options.passive?":passive":""}`;
+        }
 
-    /**
-     * Function that appends an element to the elements in the collection. The element may be
-     *    - an HTMLElement
-     *    - an array of HTMLElement
-     *    - a string with the HTML content to append
-     * @param {*} element: the element to append
-     * @returns the collection of objects
-     */
-    $.append = function(element) {
-        if (element instanceof HTMLElement) {
-            if (this.length > 0) {
-                this[0].appendChild(element);
+        /**
+         * Auxiliary function that retrieves the event handlers for an element and an event. It makes
+         *   sure that the event handlers structure is created for the element and the event.
+         * @param {*} element: the element to retrieve the event handlers
+         * @param {*} eventType: the type of event to retrieve the handlers for
+         * @returns the list of event handlers for the element and the event
+         */
+        function _getEventHandlers(element, eventType) {
+            if (element.__eventHandlers === undefined) {
+                element.__eventHandlers = {};
+            }
+            if (element.__eventHandlers[eventType] === undefined) {
+                element.__eventHandlers[eventType] = [];
             }
-        } else if (Array.isArray(element)) {
-            element.forEach((x) => this.append(x));
-        } else if (typeof element === "string") {
-            this.forEach((x) => x.innerHTML += element);
+            return element.__eventHandlers[eventType];
         }
-        return this;
-    }
 
-    /**
-     * Function that prepends an element to the elements in the collection. The element may be
-     *   - an HTMLElement
-     *   - an array of HTMLElement
-     *   - a string with the HTML content to prepend
-     * @param {*} element: the element to prepend
-     * @returns the collection of objects
-     */
-    $.prepend = function(element) {
-        if (element instanceof HTMLElement) {
-            if (this.length > 0) {
-                this[0].insertBefore(element, this[0].firstChild);
+        /**
+         * The events that are not fired by the browser, but built from other events (e.g. the gesture events); each entry
+         *   is an object { setup, teardown, add, remove } with the functions (all of them optional) that are called with the
+         *   element when the first handler for the event is added to it, and when the last one is removed; add(element,
+         *   handlerRecord, options) and remove(element, handlerRecord) are called for each handler
+         */
+        const _specialEvents = {};
+
+        /**
+         * Auxiliary function that makes sure that there is a native listener for a type of event and a set of options
+         *   in the element. The native listener is the one that dispatches the event to the handlers added using "on".
+         * @param {*} element: the element in which to add the listener
+         * @param {string} eventType: the type of event
+         * @param {*} options: the options for the listener (i.e. capture and passive)
+         */
+        function _addNativeListener(element, eventType, options) {
+            if (element.__eventListeners === undefined) {
+                element.__eventListeners = {};
+            }
+            let key = _getListenerKey(options);
+            if (element.__eventListeners[eventType] === undefined) {
+                element.__eventListeners[eventType] = {};
+                _specialEvents[eventType]?.setup?.(element);
+            }
+            if (element.__eventListeners[eventType][key] === undefined) {
+                let listener = (event) => (_triggeredType === event.type)? undefined : _dispatchEvent(element, eventType, key, event);
+                element.__eventListeners[eventType][key] = listener;
+                element.addEventListener(eventType, listener, { capture: options.capture, passive: options.passive });
+                _trackElementWithHandlers(element);
             }
-        } else if (Array.isArray(element)) {
-            element.forEach((x) => this.prepend(x));
-        } else if (typeof element === "string") {
-            this.forEach((x) => x.innerHTML = element + x.innerHTML);
         }
-        return this;
-    }
 
-    /**
-     * Function that inserts an element after the elements in the collection. The element may be
-     *  - an HTMLElement
-     *  - an array of HTMLElement
-     *  - a string with the HTML content to insert
-     * @param {*} element: the element to insert
-     * @returns the collection of objects
-     */
-    $.after = function(element) {
-        if (element instanceof HTMLElement) {
-            if (this.length > 0) {
-                this[0].insertAdjacentElement("afterend", element);
+        /**
+         * Auxiliary function that removes a handler record from the list of handlers of an element; if it was the last
+         *   handler that used a native listener, the native listener is also removed (and the structures, if they are empty)
+         * @param {*} element: the element from which to remove the handler
+         * @param {*} handlerRecord: the record of the handler to remove (as created by "on")
+         */
+        function _removeEventHandler(element, handlerRecord) {
+            let type = handlerRecord.type;
+            let handlers = element.__eventHandlers?.[type] ?? [];
+            let i = handlers.indexOf(handlerRecord);
+            if (i < 0) {
+                return;
+            }
+            handlers.splice(i, 1);
+            _specialEvents[type]?.remove?.(element, handlerRecord);
+            if (handlers.length === 0) {
+                delete element.__eventHandlers[type];
+            }
+            let listeners = element.__eventListeners?.[type] ?? {};
+            let listener = listeners[handlerRecord.key];
+            if ((listener !== undefined) && (!handlers.some((other) => other.key === handlerRecord.key))) {
+                element.removeEventListener(type, listener, { capture: handlerRecord.options.capture });
+                delete listeners[handlerRecord.key];
+                if (Object.keys(listeners).length === 0) {
+                    delete element.__eventListeners[type];
+                    _specialEvents[type]?.teardown?.(element);
+                }
+            }
+            if (Object.keys(element.__eventListeners ?? {}).length === 0) {
+                delete element.__eventHandlers;
+                delete element.__eventListeners;
+                _untrackElementWithHandlers(element);
             }
-        } else if (Array.isArray(element)) {
-            element.forEach((x) => this.after(x));
-        } else if (typeof element === "string") {
-            this.forEach((x) => x.insertAdjacentHTML("afterend", element));
         }
-        return this;
-    }
 
-    /**
-     * Function that inserts an element before the elements in the collection. The element may be
-     *  - an HTMLElement
-     *  - an array of HTMLElement
-     *  - a string with the HTML content to insert
-     * @param {*} element: the element to insert
-     * @returns the collection of objects
-     */
-    $.before = function(element) {
-        if (element instanceof HTMLElement) {
-            if (this.length > 0) {
-                this[0].insertAdjacentElement("beforebegin", element);
+        /**
+         * Auxiliary function that removes all the handlers added using "on" to an element (and their native listeners)
+         * @param {*} element: the element
+         */
+        function _removeAllEventHandlers(element) {
+            for (let type in element.__eventHandlers ?? {}) {
+                [ ...element.__eventHandlers[type] ].forEach((handlerRecord) => _removeEventHandler(element, handlerRecord));
             }
-        } else if (Array.isArray(element)) {
-            element.forEach((x) => this.before(x));
-        } else if (typeof element === "string") {
-            this.forEach((x) => x.insertAdjacentHTML("beforebegin", element));
         }
-        return this;
-    }
 
-    /**
-     * Function that searches for elements in the collection that match a selector and returns
-     *    a new collection with the elements found.
-     * @param {*} selector: the selector to search for
-     * @returns a new collection with the elements found
-     */
-    $.find = function(selector) {
-        let result = [];
-        this.forEach((x) => result.push(...Array.from(x.querySelectorAll(selector))));
-        return $(result);
-    }
+        /**
+         * The weak references to the elements that have handlers added using "on", to be able to report them for debugging
+         *      purposes (see _$.debugHandlers) without preventing them from being garbage collected
+         */
+        const _elementsWithHandlers = new Set();
+        const _elementsWithHandlersRefs = new WeakMap();
 
-    /**
-     * Function that retrieves the element at a specific index in the collection
-     * @param {*} index: the index of the element to retrieve
-     * @returns the element at the index in the collection or null if the index is out of bounds
-     *        or the collection is empty or the collection of objects if the index is not set
-     */
-    $.get = function(index) {
-        if (index === undefined) {
-            return this;
-        }
-        if ((this.length === 0) || (index < 0) || (index >= this.length)) {
-            return null;
+        /**
+         * Auxiliary function that annotates that an element has handlers
+         * @param {*} element: the element
+         */
+        function _trackElementWithHandlers(element) {
+            if (!_elementsWithHandlersRefs.has(element)) {
+                let ref = new WeakRef(element);
+                _elementsWithHandlersRefs.set(element, ref);
+                _elementsWithHandlers.add(ref);
+            }
         }
-        return this[index];
-    }
 
-    /**
-     * Function that calls a function for each element in the collection. The function will receive
-     *   two parameters: callback(index, element) where <index> is the index of the element in the 
-     *   collection and <element> is the element itself. The function is bound to the collection, so
-     *   that this[index] will be the element.
-     * @param {*} callback: the function to call for each element in the collection
-     * @returns the collection of objects
-     */
-    $.each = function(callback) {
-        callback = callback.bind(this);
-        for (let i = 0; i < this.length; i++) {
-            callback(i, this[i]);
+        /**
+         * Auxiliary function that annotates that an element no longer has handlers
+         * @param {*} element: the element
+         */
+        function _untrackElementWithHandlers(element) {
+            let ref = _elementsWithHandlersRefs.get(element);
+            if (ref !== undefined) {
+                _elementsWithHandlers.delete(ref);
+                _elementsWithHandlersRefs.delete(element);
+            }
         }
-        return this;
-    }
 
-    /**
-     * Function that calls a function for each element in the collection and returns an array with the
-     *   results of the calls to the function. The function will receive two parameters: callback(index, element)
-     *   where <index> is the index of the element in the collection and <element> is the element itself. The function
-     *   is bound to the collection, so that this[index] will be the element.
-     * @param {*} callback: the function to call for each element in the collection
-     * @returns an array with the results of the calls to the function
-     */
-    $.map = function(callback) {
-        let result = [];
-        callback = callback.bind(this);
-        for (let i = 0; i < this.length; i++) {
-            result.push(callback(i, this[i]));
+        /**
+         * Function that reports the elements that still have handlers added using "on" (it is intended for debugging, e.g.
+         *      to find the elements that were removed from the DOM without removing their handlers)
+         * @param {boolean} onlyDetached: if true, only the elements that are not in the document are reported
+         * @returns a list of objects { element, attached, handlers }, where attached is true if the element is in the document
+         *      and handlers is a dictionary with the number of handlers for each type of event (e.g. { click: 2 })
+         */
+        $.debugHandlers = function(onlyDetached = false) {
+            let result = [];
+            _elementsWithHandlers.forEach((ref) => {
+                let element = ref.deref();
+                if (element === undefined) {
+                    _elementsWithHandlers.delete(ref);
+                    return;
+                }
+                let attached = element.isConnected;
+                if (onlyDetached && attached) {
+                    return;
+                }
+                let handlers = {};
+                for (let type in element.__eventHandlers ?? {}) {
+                    handlers[type] = element.__eventHandlers[type].length;
+                }
+                result.push({ element, attached, handlers });
+            });
+            return result;
         }
-        return result;
-    }
 
-    /**
-     * Function that filters the elements in the collection that return "true"-ish when calling the callback function. 
-     *  The callback function will receive two parameters: callback(index, element) where <index> is the index of the 
-     *  element in the collection and <element> is the element itself. The function is bound to the collection, so that 
-     *  this[index] will be the element.
-     *  The callback function should return true if the element passes the filter, false otherwise.
-     * @param {*} callback: the function to filter the elements in the collection
-     * @returns a new collection with the elements that pass the filter
-     */
-    $.filter = function(callback) {
-        let result = [];
-        callback = callback.bind(this);
-        for (let i = 0; i < this.length; i++) {
-            if (callback(i, this[i])) {
-                result.push(this[i]);
+        /**
+         * The trigger that is in progress when calling to the native methods of the elements (e.g. element.click()), so
+         *   that the extra parameters and the namespaces reach the handlers of the event that the native method dispatches
+         */
+        let _pendingTrigger = null;
+
+        /**
+         * The type of event whose native method is being called by "trigger" after running the handlers (e.g. "blur"), so
+         *   that the event dispatched by the native method does not run the handlers again (as jQuery.event.triggered)
+         */
+        let _triggeredType = null;
+
+        /**
+         * Auxiliary function that prepares an event to be dispatched to the handlers, so that calling to
+         *   stopImmediatePropagation also stops running the rest of the handlers added using "on"
+         * @param {Event} event: the event to prepare
+         */
+        function _prepareEvent(event) {
+            if (event.__nojquery === true) {
+                return;
+            }
+            event.__nojquery = true;
+            event.__immediatePropagationStopped = false;
+            if ((_pendingTrigger !== null) && (_pendingTrigger.type === event.type) && (event.__nojqueryArgs === undefined)) {
+                event.__nojqueryArgs = _pendingTrigger.args;
+                event.__nojqueryNamespaces = _pendingTrigger.namespaces;
+            }
+            let stopImmediatePropagation = event.stopImmediatePropagation;
+            event.stopImmediatePropagation = function() {
+                this.__immediatePropagationStopped = true;
+                stopImmediatePropagation.call(this);
+            }
+            event.isImmediatePropagationStopped = function() {
+                return this.__immediatePropagationStopped;
             }
         }
-        return $(result);
-    }
 
-    /**
-     * Function that retrieves the text of the first element in the collection, or sets the text of all the elements
-     * @param {*} text: the text to set for the elements
-     * @returns the text of the first element in the collection or the collection of objects
-     */
-    $.text = function(text) {
-        if (text === undefined) {
-            if (this.length === 0) {
-                return "";
+        /**
+         * Auxiliary function that obtains the elements that match a selector, in the path from the target of the
+         *   event to the element in which the handler was delegated (the element itself is not included)
+         * 
+         * (*) the path is obtained using composedPath, so that the elements inside open shadow roots are also
+         *     considered; if the event is not being dispatched (e.g. triggerHandler), the path is obtained by
+         *     following the parents of the target.
+         * @param {*} element: the element in which the handler was added
+         * @param {Event} event: the event being dispatched
+         * @param {string} selector: the selector that the elements must match
+         * @returns the list of matching elements, from the innermost to the outermost
+         */
+        function _getDelegatedTargets(element, event, selector) {
+            let path = typeof event.composedPath === "function"? event.composedPath() : [];
+            if (path.length === 0) {
+                for (let node = event.target; (node !== null) && (node !== undefined); node = node.parentNode) {
+                    path.push(node);
+                }
+            }
+            let targets = [];
+            for (let node of path) {
+                if (node === element) {
+                    break;
+                }
+                if ((node.nodeType === Node.ELEMENT_NODE) && node.matches(selector)) {
+                    targets.push(node);
+                }
             }
-            return this[0].innerText;
+            return targets;
         }
-        this.forEach((x) => x.innerText = text);
-        return this;
-    }
 
-    /**
-     * Function that retrieves the HTML content of the first element in the collection, or sets the HTML content of all the elements
-     * @param {*} html: the HTML content to set for the elements
-     * @returns the HTML content of the first element in the collection or the collection of objects
-     */
-    $.html = function(html) {
-        if (html === undefined) {
-            if (this.length === 0) {
-                return "";
+        /**
+         * Auxiliary function that dispatches an event to the handlers added to an element for a type of event and
+         *   a set of options. The handlers are called bound to the element (or to the matched element, in case of
+         *   delegated handlers), and returning false from a handler stops the propagation and prevents the default action.
+         * 
+         * (*) the handlers receive the event and the extra parameters passed to "trigger" (if any); if the event
+         *     was triggered using namespaces, only the handlers in these namespaces are called.
+         * @param {*} element: the element that received the event
+         * @param {string} eventType: the type of event
+         * @param {string} key: the key of the listener options (see _getListenerKey); if null, the handlers are called
+         *      regardless of their options
+         * @param {Event} event: the event
+         * @returns the value returned by the last handler called
+         */
+        function _dispatchEvent(element, eventType, key, event) {
+            _prepareEvent(event);
+            let args = event.__nojqueryArgs ?? [];
+            let namespaces = event.__nojqueryNamespaces ?? [];
+            let handlers = (element.__eventHandlers?.[eventType] ?? []).filter((handlerRecord) => 
+                ((key === null) || (handlerRecord.key === key)) &&
+                namespaces.every((namespace) => handlerRecord.namespaces.includes(namespace))
+            );
+            let result = undefined;
+            for (let i = 0; (i < handlers.length) && (!event.__immediatePropagationStopped); i++) {
+                let handlerRecord = handlers[i];
+                let targets = handlerRecord.selector === null? [ element ] : _getDelegatedTargets(element, event, handlerRecord.selector);
+                for (let j = 0; (j < targets.length) && (!event.__immediatePropagationStopped); j++) {
+                    if ((handlerRecord.condition !== null) && (handlerRecord.condition !== undefined) && (!handlerRecord.condition(event, targets[j]))) {
+                        continue;
+                    }
+                    if (handlerRecord.once) {
+                        _removeEventHandler(element, handlerRecord);
+                    }
+                    result = handlerRecord.handler.call(targets[j], event, ...args);
+                    if (result === false) {
+                        event.preventDefault();
+                        event.stopPropagation();
+                    }
+                    if (handlerRecord.once) {
+                        break;
+                    }
+                }
             }
-            return this[0].innerHTML;
+            return result;
         }
-        this.forEach((x) => x.innerHTML = html);
-        return this;
-    }
-    
-    /**
-     * The $ function scoped to the objects that are part of a previous $ object; this is the same
-     *      function $(...elements), except for the fact that the search for elements using selectors
-     *      will be done using the existing elements as scope.
-     * @param  {...any} elements (see function $(...elements))
-     */
-    $._$ = function(...elements) {
-        return $.bind(this)(...elements);
-    }
 
-    /**
-     * Function that obtains the value of an attribute from an element
-     * @param {*} element, the element from which to obtain the value of the attribute
-     * @param {*} attributeName, the name of the attribute to obtain. It accepts the construction <attributeName[:attributeType]>
-     *              and the value will be casted to that type. Valid types: [ bool, string, int ]; the default is string.
-     * @param {*} convertCamelcaseToSnakecase, if true, the name of the attribute will be converted from "camelCase" to "snake-case"
-     * @returns the value of the attribute
-     */
-    function getAttribute(element, attributeName, convertCamelcaseToSnakecase = false) {
-        if (element === null) {
-            return null;
-        }
-        // Accept the construction <attributeName>:<type>
-        let parts = attributeName.split(":");
-
-        // Get the name of the attribute and convert to snake case (if needed)
-        attributeName = parts[0];
-        let attributeNameToGet = convertCamelcaseToSnakecase? camelcaseToSnakecase(attributeName) : attributeName;
-
-        // Grab the value, and convert the type (if needed)
-        let value = element.getAttribute(attributeNameToGet);
-        if (value != null) {
-            let type = "string"
-            if (parts.length > 1) {
-                type = parts[1].toLowerCase();
-            }
-            switch (type) {
-                case "int":
-                    try { value = parseInt(value); } catch (_) { }; break;
-                case "float":
-                    try { value = parseFloat(value); } catch (_) { }; break;
-                case "bool":
-                    value = [ "", "true", "1" ].indexOf(value.toLowerCase()) >= 0; break;
-            }
-        }
-        return value;
-    }
+        /**
+         * Auxiliary function that adds a handler record to an element (and the native listener, if needed)
+         * @param {*} element: the element
+         * @param {string} type: the type of event
+         * @param {*} namespaces: the list of namespaces of the handler
+         * @param {string} selector: the selector for delegated handlers (or null)
+         * @param {function} eventHandler: the handler
+         * @param {*} options: the options for the handler { capture, passive, once }
+         * @param {function} condition: a function(event, target) that must return true for the handler to be called (or null);
+         *      it makes it possible to build handlers for some of the events of a type (e.g. the hotkeys) that can be removed
+         *      using "off" as any other handler
+         */
+        function _addEventHandler(element, type, namespaces, selector, eventHandler, options, condition = null) {
+            _addNativeListener(element, type, options);
+            let handlerRecord = {
+                type: type,
+                namespaces: namespaces,
+                selector: selector,
+                handler: eventHandler,
+                condition: condition,
+                once: options.once === true,
+                options: { capture: options.capture, passive: options.passive },
+                key: _getListenerKey(options)
+            };
+            _getEventHandlers(element, type).push(handlerRecord);
+            _specialEvents[type]?.add?.(element, handlerRecord, options);
+        }
+
+        /**
+         * Function that adds a event handler for an HTML event. It can be used as
+         *      - on(eventNames, eventHandler, options)
+         *      - on(eventNames, selector, eventHandler, options)
+         *      - on({ eventName1: eventHandler1, eventName2: eventHandler2, ... }, selector, options)
+         * 
+         * (*) the event names may include namespaces (e.g. "click.menu"), that can be used later to remove the handlers
+         *     (e.g. off(".menu")); it is also possible to use multiple event names separated by spaces (e.g. "click keydown")
+         * (*) if a selector is set, the handler is delegated: it will be called for the descendants of the elements that
+         *     match the selector, even if they are created later. In that case, "this" will be the matching descendant.
+         * (*) if the handler returns false, the propagation of the event is stopped and the default action is prevented.
+         * (*) the special events that accept options (e.g. enterview) can also be used as on(eventNames, options, eventHandler)
+         * @param {*} eventNames: the names of the events (e.g. click, drop, etc.)
+         * @param {string} selector: the selector for delegated events (optional)
+         * @param {*} eventHandler: the handler to add. The handlers are executed in
+         *      the order that they are added
+         * @param {*} options: object with the options for the handler { capture, passive, once }, along with the options
+         *      for the special events (e.g. { threshold, rootMargin } for enterview and leaveview)
+         */
+        fn.on = function (eventNames, selector, eventHandler, options) {
+            if ((typeof eventNames === "object") && (eventNames !== null)) {
+                if ((typeof selector === "object") && (selector !== null)) {
+                    options = selector;
+                    selector = null;
+                } else {
+                    options = eventHandler;
+                }
+                for (let eventName in eventNames) {
+                    this.on(eventName, selector ?? null, eventNames[eventName], options);
+                }
+                return this;
+            }
+            if ((typeof selector === "object") && (selector !== null) && (!Array.isArray(selector)) &&
+                    _parseEventNames(eventNames).some(({ type }) => _specialEvents[type] !== undefined)) {
+                options = Object.assign({}, selector, options);
+                selector = null;
+            }
+            if ((typeof selector === "function") || (selector === false)) {
+                options = eventHandler;
+                eventHandler = selector;
+                selector = null;
+            }
+            if (eventHandler === false) {
+                eventHandler = () => false;
+            }
+            eventHandler = eventHandler ?? ((event) => {});
+            options = Object.assign({ capture: false, passive: false, once: false }, options);
 
-    const camelcaseToSnakecase = str => str.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+            this.forEach((element, _) => {
+                _parseEventNames(eventNames).forEach(({ type, namespaces }) => {
+                    _addEventHandler(element, type, namespaces, selector ?? null, eventHandler, options);
+                });
+            });
+            return this;
+        }
 
-    exports._$ = $;
-})(window);
\ No newline at end of file
+        /**
+         * Function that adds a event handler for an HTML event, that will be executed at most once per element;
+         *      the parameters are the same than for function "on"
+         * @param {*} eventNames: the names of the events (e.g. click, drop, etc.)
+         * @param {string} selector: the selector for delegated events (optional)
+         * @param {*} eventHandler: the handler to add
+         * @param {*} options: object with the options for the handler { capture, passive }
+         */
+        fn.one = function (eventNames, selector, eventHandler, options) {
+            if ((typeof eventNames === "object") && (eventNames !== null)) {
+                if ((typeof selector === "object") && (selector !== null)) {
+                    return this.on(eventNames, Object.assign({}, selector, { once: true }));
+                }
+                return this.on(eventNames, selector, Object.assign({}, eventHandler, { once: true }));
+            }
+            if ((typeof selector === "function") || (selector === false)) {
+                return this.on(eventNames, selector, Object.assign({}, eventHandler, { once: true }));
+            }
+            return this.on(eventNames, selector, eventHandler, Object.assign({}, options, { once: true }));
+        }
+
+        /**
+         * Function that removes a event handler for an HTML event. It can be used as
+         *      - off(), to remove all the handlers
+         *      - off(eventNames, eventHandler)
+         *      - off(eventNames, selector, eventHandler)
+         * 
+         * (*) the event names may include namespaces (e.g. "click.menu") to remove only the handlers in that namespace,
+         *     or consist only of namespaces (e.g. ".menu") to remove the handlers in that namespace for any event.
+         * @param {*} eventNames: the name of the events (e.g. click, drop, etc.). If not set, it will remove all the handlers.
+         * @param {string} selector: the selector used to delegate the handler. If not set, it will remove both direct and
+         *      delegated handlers.
+         * @param {*} eventHandler: the handler to remove. If not set, it will remove
+         *      all the handlers. 
+         */
+        fn.off = function (eventNames, selector, eventHandler) {
+            if (typeof selector === "function") {
+                eventHandler = selector;
+                selector = null;
+            }
+            let eventsToRemove = eventNames === undefined? [ { type: "", namespaces: [] } ] : _parseEventNames(eventNames);
+            this.forEach((element, _) => {
+                eventsToRemove.forEach(({ type, namespaces }) => {
+                    let types = type === ""? Object.keys(element.__eventHandlers ?? {}) : [ type ];
+                    types.forEach((type) => {
+                        (element.__eventHandlers?.[type] ?? []).filter((handlerRecord) => 
+                            ((selector === undefined) || (selector === null) || (handlerRecord.selector === selector)) &&
+                            ((eventHandler === undefined) || (eventHandler === null) || (handlerRecord.handler === eventHandler)) &&
+                            namespaces.every((namespace) => handlerRecord.namespaces.includes(namespace))
+                        ).forEach((handlerRecord) => _removeEventHandler(element, handlerRecord));
+                    });
+                });
+            })
+            return this;
+        }
+
+        /**
+         * The events for which "trigger" calls the native method of the element (e.g. element.click()), so that
+         *      the default action is also executed
+         */
+        const _nativeTriggerMethods = [ "click", "focus", "blur" ];
+
+        /**
+         * Auxiliary function that creates the event to dispatch when calling to "trigger" or "triggerHandler"
+         * @param {*} eventName: the name of the event (it may include namespaces, e.g. "saved.widget") or an Event object
+         * @param {*} extraParameters: the extra parameters to pass to the handlers; if it is an array, each item is
+         *      passed as a separate parameter
+         * @returns an object { event: <the event>, type: <the type of event>, args: <list of parameters>, namespaces: <list of namespaces> }
+         */
+        function _createTriggerEvent(eventName, extraParameters) {
+            let args = extraParameters === undefined? [] : (Array.isArray(extraParameters)? extraParameters : [ extraParameters ]);
+            if (eventName instanceof Event) {
+                eventName.__nojqueryArgs = args;
+                return { event: eventName, type: eventName.type, args: args, namespaces: [] };
+            }
+            let { type, namespaces } = _parseEventName(eventName);
+            let event = new CustomEvent(type, { bubbles: true, cancelable: true, detail: extraParameters });
+            event.__nojqueryArgs = args;
+            event.__nojqueryNamespaces = namespaces;
+            return { event, type, args, namespaces };
+        }
+
+        /**
+         * Auxiliary function that runs the handlers added using "on" for an event in an element and in its ancestors
+         *      (up to the window), without dispatching it, so that the listeners that were not added using "on" do not
+         *      receive it; it is used to run the handlers before calling the native method (e.g. blur), as jQuery does
+         * @param {*} element: the element that is the target of the event
+         * @param {Event} event: the event (it must not have been dispatched)
+         */
+        function _runHandlersInPath(element, event) {
+            let path = [];
+            for (let node = element; (node !== null) && (node !== undefined); node = node.parentNode) {
+                path.push(node);
+            }
+            if (path[path.length - 1] === document) {
+                path.push(window);
+            }
+            Object.defineProperty(event, "target", { value: element, configurable: true });
+            for (let i = 0; (i < path.length) && (!event.cancelBubble); i++) {
+                Object.defineProperty(event, "currentTarget", { value: path[i], configurable: true });
+                _dispatchEvent(path[i], event.type, null, event);
+            }
+        }
+
+        /**
+         * Function that fires an event on each element in the collection. The event bubbles through the DOM as any other
+         *      event, and the handlers added using "on" receive the extra parameters after the event (i.e. handler(event, ...extraParameters)).
+         *      The extra parameters are also available in event.detail.
+         * 
+         * (*) for the events that have a native method in the element (i.e. click, focus and blur), the handlers are run
+         *     first and then the native method is called (unless the default action was prevented), so that the default
+         *     action is also executed; the handlers run even if the native method does nothing (e.g. blur on an element
+         *     that is not focused). The clicks on checkboxes and radio buttons are made by calling the native method, so
+         *     that the handlers see the new checked state.
+         * (*) if the name of the event includes namespaces (e.g. "saved.widget"), only the handlers in these namespaces are called.
+         * @param {*} eventName: the name of the event to fire, or an Event object
+         * @param {*} extraParameters: the parameters to pass to the handlers (a single value or an array of values)
+         * @returns the collection of objects
+         */
+        fn.trigger = function (eventName, extraParameters) {
+            this.forEach((element, _) => {
+                let { event, type, args, namespaces } = _createTriggerEvent(eventName, extraParameters);
+                if ((eventName instanceof Event) || (!_nativeTriggerMethods.includes(type)) || (typeof element[type] !== "function")) {
+                    element.dispatchEvent(event);
+                    return;
+                }
+                if ((type === "click") && _isCheckable(element)) {
+                    let previousTrigger = _pendingTrigger;
+                    _pendingTrigger = { type, args, namespaces };
+                    try {
+                        element[type]();
+                    } finally {
+                        _pendingTrigger = previousTrigger;
+                    }
+                    return;
+                }
+                _runHandlersInPath(element, event);
+                if (!event.defaultPrevented) {
+                    let previousType = _triggeredType;
+                    _triggeredType = type;
+                    try {
+                        element[type]();
+                    } finally {
+                        _triggeredType = previousType;
+                    }
+                }
+            });
+            return this;
+        }
+
+        /**
+         * Function that runs the handlers added using "on" to the first element in the collection for an event, but
+         *      without firing the event: the event does not bubble and the default action is not executed. The target and
+         *      currentTarget of the event are the element.
+         * @param {*} eventName: the name of the event (it may include namespaces, e.g. "saved.widget")
+         * @param {*} extraParameters: the parameters to pass to the handlers (a single value or an array of values)
+         * @returns the value returned by the last handler executed, or undefined if there are no handlers (or the
+         *      collection is empty)
+         */
+        fn.triggerHandler = function (eventName, extraParameters) {
+            if (this.length === 0) {
+                return undefined;
+            }
+            let { event, type } = _createTriggerEvent(eventName, extraParameters);
+            // The event is not dispatched, so its target and currentTarget must be set by hand (they would be null)
+            Object.defineProperty(event, "target", { value: this[0], configurable: true });
+            Object.defineProperty(event, "currentTarget", { value: this[0], configurable: true });
+            return _dispatchEvent(this[0], type, null, event);
+        }
+
+        /**
+         * The default thresholds for the gesture events (they can be changed for the elements in a collection using "gestures")
+         *      - tapDistance: the maximum distance (in pixels) that the pointer may move in a tap or a longpress; moving it
+         *          further starts dragging
+         *      - longpressTime: the time (in milliseconds) that the pointer must be kept pressed to fire a longpress
+         *      - swipeDistance: the minimum distance (in pixels) that the pointer must move to fire a swipe
+         *      - swipeTime: the maximum time (in milliseconds) that a swipe may last
+         */
+        const _gestureDefaults = { tapDistance: 10, longpressTime: 500, swipeDistance: 30, swipeTime: 800 };
+
+        /**
+         * The gesture events, that are fired by the elements that have handlers for any of them
+         */
+        const _gestureEvents = [ "tap", "longpress", "swipe", "swipeleft", "swiperight", "swipeup", "swipedown", "dragmove" ];
+
+        /**
+         * Auxiliary function that fires a gesture event in the element in which the gesture started; the event bubbles, so
+         *      delegated handlers work as for any other event. The detail of the event is an object with
+         *      { pointerType, startX, startY, x, y, dx, dy, distance, duration, velocity, velocityX, velocityY, direction }
+         *      where the distances are in pixels, the duration in milliseconds, the velocities in pixels per millisecond and
+         *      the direction is "left", "right", "up" or "down" (the main axis of the movement, or null if it did not move)
+         * @param {*} gesture: the state of the gesture
+         * @param {string} type: the type of gesture event
+         * @param {*} pointerEvent: the last pointer event of the gesture
+         */
+        function _fireGesture(gesture, type, pointerEvent) {
+            let dx = pointerEvent.clientX - gesture.startX;
+            let dy = pointerEvent.clientY - gesture.startY;
+            let distance = Math.hypot(dx, dy);
+            let duration = Date.now() - gesture.startTime;
+            let direction = null;
+            if (distance > 0) {
+                direction = Math.abs(dx) >= Math.abs(dy)? (dx < 0? "left" : "right") : (dy < 0? "up" : "down");
+            }
+            let elapsed = Math.max(duration, 1);
+            gesture.target.dispatchEvent(new CustomEvent(type, { bubbles: true, cancelable: true, detail: {
+                pointerType: pointerEvent.pointerType,
+                startX: gesture.startX,
+                startY: gesture.startY,
+                x: pointerEvent.clientX,
+                y: pointerEvent.clientY,
+                dx, dy, distance, duration,
+                velocity: distance / elapsed,
+                velocityX: dx / elapsed,
+                velocityY: dy / elapsed,
+                direction
+            }}));
+        }
+
+        /**
+         * Auxiliary function that starts recognizing gestures in an element, by listening to its pointer events; it is
+         *      called when the first handler for a gesture event is added to the element
+         * 
+         * (*) only one pointer is tracked at a time, and the gesture is recognized by the innermost element that listens
+         *     to gestures (the events bubble to the rest); if the page (or any element) scrolls or the browser cancels the
+         *     pointer (e.g. because it starts panning), the gesture is cancelled without firing any more events.
+         * @param {*} element: the element
+         */
+        function _attachGestures(element) {
+            if (element.__gestures !== undefined) {
+                return;
+            }
+            let ownerDocument = element.ownerDocument ?? element;
+            let gesture = null;
+
+            const end = () => {
+                clearTimeout(gesture.timer);
+                ownerDocument.removeEventListener("pointermove", onMove);
+                ownerDocument.removeEventListener("pointerup", onUp);
+                ownerDocument.removeEventListener("pointercancel", end);
+                ownerDocument.removeEventListener("scroll", end, true);
+                gesture = null;
+            };
+            const onMove = (event) => {
+                if (event.pointerId !== gesture.pointerId) {
+                    return;
+                }
+                gesture.lastEvent = event;
+                if ((!gesture.dragging) && (Math.hypot(event.clientX - gesture.startX, event.clientY - gesture.startY) > gesture.options.tapDistance)) {
+                    gesture.dragging = true;
+                    clearTimeout(gesture.timer);
+                }
+                if (gesture.dragging) {
+                    _fireGesture(gesture, "dragmove", event);
+                }
+            };
+            const onUp = (event) => {
+                if (event.pointerId !== gesture.pointerId) {
+                    return;
+                }
+                let current = gesture;
+                end();
+                let distance = Math.hypot(event.clientX - current.startX, event.clientY - current.startY);
+                if ((!current.dragging) && (!current.longpressed) && (distance <= current.options.tapDistance)) {
+                    _fireGesture(current, "tap", event);
+                } else if ((distance >= current.options.swipeDistance) && (Date.now() - current.startTime <= current.options.swipeTime)) {
+                    _fireGesture(current, "swipe", event);
+                    let dx = event.clientX - current.startX;
+                    let dy = event.clientY - current.startY;
+                    _fireGesture(current, Math.abs(dx) >= Math.abs(dy)? (dx < 0? "swipeleft" : "swiperight") : (dy < 0? "swipeup" : "swipedown"), event);
+                }
+            };
+            const onDown = (event) => {
+                if ((gesture !== null) || (event.__nojqueryGesture === true) || ((event.pointerType === "mouse") && (event.button !== 0))) {
+                    return;
+                }
+                event.__nojqueryGesture = true;
+                gesture = {
+                    pointerId: event.pointerId,
+                    target: event.target,
+                    options: Object.assign({}, _gestureDefaults, element.__gestureOptions),
+                    startX: event.clientX,
+                    startY: event.clientY,
+                    startTime: Date.now(),
+                    lastEvent: event,
+                    dragging: false,
+                    longpressed: false,
+                    timer: null
+                };
+                let current = gesture;
+                current.timer = setTimeout(() => {
+                    current.longpressed = true;
+                    _fireGesture(current, "longpress", current.lastEvent);
+                }, current.options.longpressTime);
+                ownerDocument.addEventListener("pointermove", onMove);
+                ownerDocument.addEventListener("pointerup", onUp);
+                ownerDocument.addEventListener("pointercancel", end);
+                ownerDocument.addEventListener("scroll", end, true);
+            };
+
+            element.addEventListener("pointerdown", onDown);
+            element.__gestures = {
+                detach: () => {
+                    if (gesture !== null) {
+                        end();
+                    }
+                    element.removeEventListener("pointerdown", onDown);
+                    delete element.__gestures;
+                }
+            };
+        }
+
+        /**
+         * Auxiliary function that stops recognizing gestures in an element, once there are no handlers left for any of
+         *      the gesture events
+         * @param {*} element: the element
+         */
+        function _detachGestures(element) {
+            if ((element.__gestures !== undefined) && (!_gestureEvents.some((type) => element.__eventListeners?.[type] !== undefined))) {
+                element.__gestures.detach();
+            }
+        }
+
+        _gestureEvents.forEach((type) => _specialEvents[type] = { setup: _attachGestures, teardown: _detachGestures });
+
+        /**
+         * Function that sets the thresholds for the gesture events of the elements in the collection (see _gestureDefaults);
+         *      the gesture events are tap, longpress, swipe, swipeleft, swiperight, swipeup, swipedown and dragmove, and
+         *      they are used as any other event (e.g. _$('.card').gestures({ swipeDistance: 50 }).on('swipeleft', fn))
+         * @param {*} options: an object with the thresholds to change { tapDistance, longpressTime, swipeDistance, swipeTime }
+         * @returns the collection of objects
+         */
+        fn.gestures = function(options = {}) {
+            this.forEach((element, _) => {
+                element.__gestureOptions = Object.assign({}, element.__gestureOptions, options);
+            });
+            return this;
+        }
+
+        /**
+         * The names that can be used for the keys in the hotkeys, that are different from the value of event.key
+         */
+        const _hotkeyAliases = {
+            esc: "escape", return: "enter", space: " ", spacebar: " ", plus: "+", del: "delete", ins: "insert",
+            up: "arrowup", down: "arrowdown", left: "arrowleft", right: "arrowright", pgup: "pageup", pgdown: "pagedown"
+        };
+
+        /**
+         * The names of the modifiers that can be used in the hotkeys, and the modifier they stand for ("mod" is resolved
+         *      when parsing, because it depends on the platform)
+         */
+        const _hotkeyModifiers = {
+            ctrl: "ctrl", control: "ctrl", shift: "shift", alt: "alt", option: "alt",
+            meta: "meta", cmd: "meta", command: "meta", super: "meta", win: "meta"
+        };
+
+        /**
+         * Auxiliary function that checks if the platform is macOS or iOS (where "mod" is the Cmd key)
+         * @returns true if the platform is an Apple one
+         */
+        function _isApplePlatform() {
+            let navigator = window.navigator ?? {};
+            return /Mac|iPhone|iPad|iPod/i.test(navigator.userAgentData?.platform ?? navigator.platform ?? navigator.userAgent ?? "");
+        }
+
+        /**
+         * Auxiliary function that parses a key combination (e.g. "ctrl+shift+s" or "mod+k")
+         * @param {string} combination: the combination
+         * @returns an object { ctrl, shift, alt, meta, key } where the modifiers are booleans and key is the key in lower case
+         */
+        function _parseKeyCombination(combination) {
+            let result = { ctrl: false, shift: false, alt: false, meta: false, key: null };
+            combination.toLowerCase().split("+").forEach((part) => {
+                if (part === "mod") {
+                    result[_isApplePlatform()? "meta" : "ctrl"] = true;
+                } else if (_hotkeyModifiers[part] !== undefined) {
+                    result[_hotkeyModifiers[part]] = true;
+                } else {
+                    result.key = _hotkeyAliases[part] ?? part;
+                }
+            });
+            return result;
+        }
+
+        /**
+         * Auxiliary function that parses a list of hotkeys separated by commas (e.g. "ctrl+s, mod+s"), where each hotkey
+         *      may be a sequence of key combinations separated by spaces (e.g. "g i")
+         * @param {string} keys: the list of hotkeys
+         * @returns a list of objects { name, id, sequence }, where sequence is the list of parsed key combinations and id is
+         *      a normalized name (so that "mod+s" and "ctrl+s" have the same id, except on macOS)
+         */
+        function _parseHotkeys(keys) {
+            return keys.split(",").map((hotkey) => hotkey.trim()).filter((hotkey) => hotkey !== "").map((hotkey) => {
+                let sequence = hotkey.split(/\s+/).map(_parseKeyCombination);
+                let id = sequence.map((combination) => 
+                    [ "ctrl", "alt", "meta", "shift" ].filter((modifier) => combination[modifier]).concat([ combination.key ]).join("+")
+                ).join(" ");
+                return { name: hotkey, id, sequence };
+            });
+        }
+
+        /**
+         * Auxiliary function that checks if a keyboard event corresponds to a key combination; the key is compared with
+         *      event.key, so that the layout of the keyboard is respected (e.g. "ctrl+a" in AZERTY is the physical key Q).
+         *      Only if shift or alt changed the character that the key produces (e.g. "shift+1" produces "!" and "alt+s"
+         *      produces "ß" on macOS), the key is compared with event.code.
+         * @param {*} combination: the parsed combination (see _parseKeyCombination)
+         * @param {KeyboardEvent} event: the event
+         * @returns true if the event matches the combination
+         */
+        function _matchesKeyCombination(combination, event) {
+            let key = (event.key ?? "").toLowerCase();
+            if (key !== combination.key) {
+                let changedByModifier = (event.shiftKey || event.altKey) && (!/^[a-z0-9]$/.test(key));
+                let code = (event.code ?? "").replace(/^(Key|Digit|Numpad)/, "").toLowerCase();
+                if ((!changedByModifier) || (code !== combination.key)) {
+                    return false;
+                }
+            }
+            // The symbols that need shift to be typed (e.g. "?") match even if shift is not in the combination
+            let shiftTyped = (!combination.shift) && (key === combination.key) && (key.length === 1) && (!/[a-z0-9 ]/.test(key));
+            return (event.ctrlKey === combination.ctrl) && (event.altKey === combination.alt) && (event.metaKey === combination.meta) &&
+                ((event.shiftKey === combination.shift) || shiftTyped);
+        }
+
+        /**
+         * Auxiliary function that checks if a keyboard event comes from an element in which the user is typing
+         * @param {KeyboardEvent} event: the event
+         * @returns true if the target of the event is an input, a textarea, a select or an editable element
+         */
+        function _isTypingEvent(event) {
+            let target = (typeof event.composedPath === "function"? event.composedPath()[0] : null) ?? event.target;
+            if ((target === null) || (target === undefined) || (target.nodeType !== Node.ELEMENT_NODE)) {
+                return false;
+            }
+            return target.isContentEditable || target.matches("input, textarea, select, [contenteditable]:not([contenteditable=false])");
+        }
+
+        /**
+         * The modifier keys, that do not break the sequences of keys
+         */
+        const _modifierKeys = [ "Shift", "Control", "Alt", "Meta", "AltGraph", "CapsLock" ];
+
+        /**
+         * Function that adds a handler for a keyboard shortcut to the elements in the collection, that are the scope of the
+         *      shortcut: it is only fired when the focus is inside the elements (the shortcuts added using _$.hotkey are
+         *      fired wherever the focus is). If several scopes have the same shortcut, only the innermost is fired, so a
+         *      dialog can override the shortcuts of the page.
+         * 
+         * (*) the shortcuts are handlers for the "keydown.hotkey" event, so they can be removed using "off" (e.g.
+         *     off("keydown", handler) or off(".hotkey")); as for "on", the handler receives the event (with the name of the
+         *     shortcut in event.hotkey) and returning false prevents the default action (e.g. saving the page in ctrl+s).
+         * @param {string} keys: the shortcut, as a key combination of modifiers (ctrl, shift, alt, meta or cmd, and mod,
+         *      that is cmd on macOS and ctrl elsewhere) and a key (the value of event.key, e.g. "s", "enter" or "f2")
+         *      joined with "+" (e.g. "ctrl+shift+s"), or a sequence of combinations separated by spaces (e.g. "g i");
+         *      several alternative shortcuts can be separated by commas (e.g. "ctrl+s, mod+s")
+         * @param {function} handler: the handler
+         * @param {*} options: object with the options for the shortcut
+         *      - inInputs: if true, the shortcut is also fired while the user is typing in an input, a textarea, a select
+         *          or an editable element (default: false)
+         *      - sequenceTime: the maximum time (in milliseconds) between the keys of a sequence (default: 1000)
+         * @returns the collection of objects
+         */
+        fn.hotkey = function(keys, handler, options = {}) {
+            options = Object.assign({ inInputs: false, sequenceTime: 1000 }, options);
+            let hotkeys = _parseHotkeys(keys);
+            this.forEach((element, _) => {
+                // The progress of each sequence is kept for each element
+                let progress = hotkeys.map(() => ({ position: 0, time: 0 }));
+                const condition = (event) => {
+                    if (_modifierKeys.includes(event.key)) {
+                        return false;
+                    }
+                    if ((!options.inInputs) && _isTypingEvent(event)) {
+                        return false;
+                    }
+                    let handled = event.__nojqueryHotkeys ?? new Set();
+                    let now = Date.now();
+                    let matched = null;
+                    hotkeys.forEach((hotkey, i) => {
+                        let state = progress[i];
+                        // Keeping a key pressed does not advance the sequences
+                        if (event.repeat && (hotkey.sequence.length > 1)) {
+                            return;
+                        }
+                        if ((state.position > 0) && (now - state.time > options.sequenceTime)) {
+                            state.position = 0;
+                        }
+                        if (!_matchesKeyCombination(hotkey.sequence[state.position], event)) {
+                            state.position = _matchesKeyCombination(hotkey.sequence[0], event)? 1 : 0;
+                        } else {
+                            state.position++;
+                        }
+                        state.time = now;
+                        if (state.position === hotkey.sequence.length) {
+                            state.position = 0;
+                            if ((matched === null) && (!handled.has(hotkey.id))) {
+                                matched = hotkey;
+                            }
+                        }
+                    });
+                    if (matched === null) {
+                        return false;
+                    }
+                    // The outer scopes will not fire the same shortcut for this event
+                    handled.add(matched.id);
+                    event.__nojqueryHotkeys = handled;
+                    event.hotkey = matched.name;
+                    return true;
+                };
+                _addEventHandler(element, "keydown", [ "hotkey" ], null, handler, { capture: false, passive: false, once: false }, condition);
+            });
+            return this;
+        }
+
+        /**
+         * Function that adds a handler for a keyboard shortcut for the whole document (see fn.hotkey)
+         * @param {string} keys: the shortcut
+         * @param {function} handler: the handler
+         * @param {*} options: object with the options for the shortcut { inInputs, sequenceTime }
+         * @returns the collection with the document (e.g. to remove the shortcut using off)
+         */
+        $.hotkey = function(keys, handler, options) {
+            return $(document).hotkey(keys, handler, options);
+        }
+
+        /**
+         * The registrations of live element hooks (see _$.onAdded and _$.onRemoved); each registration is an object
+         *      { selector, added, removed, contexts, present } where present is the set of matching elements that are in the DOM
+         */
+        const _liveHooks = new Set();
+
+        /**
+         * The MutationObserver shared by all the live element hooks (it is only active while there are registrations)
+         */
+        let _liveObserver = null;
+
+        /**
+         * Auxiliary function that obtains the elements in a list of nodes, along with their descendants
+         * @param {*} nodes: the list of nodes
+         * @returns the list of elements
+         */
+        function _getElementsInNodes(nodes) {
+            let elements = [];
+            nodes.forEach((node) => {
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    elements.push(node, ...node.querySelectorAll("*"));
+                }
+            });
+            return elements;
+        }
+
+        /**
+         * Auxiliary function that checks if an element is in the DOM and inside the contexts of a live hook registration
+         * @param {*} hook: the registration
+         * @param {*} element: the element to check
+         * @returns true if the element is inside any of the contexts
+         */
+        function _isInLiveContext(hook, element) {
+            return element.isConnected && hook.contexts.some((context) => (context !== element) && context.contains(element));
+        }
+
+        /**
+         * Auxiliary function that processes the mutations observed by the shared MutationObserver, calling the "added" callbacks
+         *      for the new matching elements and the "removed" callbacks for the matching elements that are no longer in the DOM
+         * @param {*} mutations: the list of MutationRecord
+         */
+        function _processMutations(mutations) {
+            let added = _getElementsInNodes(mutations.flatMap((mutation) => Array.from(mutation.addedNodes)));
+            let removed = _getElementsInNodes(mutations.flatMap((mutation) => Array.from(mutation.removedNodes)));
+            _liveHooks.forEach((hook) => {
+                removed.forEach((element) => {
+                    if (hook.present.has(element) && (!_isInLiveContext(hook, element))) {
+                        hook.present.delete(element);
+                        hook.removed.call(element, element);
+                    }
+                });
+                added.forEach((element) => {
+                    if ((!hook.present.has(element)) && element.matches(hook.selector) && _isInLiveContext(hook, element)) {
+                        hook.present.add(element);
+                        hook.added.call(element, element);
+                    }
+                });
+            });
+        }
+
+        /**
+         * Auxiliary function that registers a live element hook, so that the callbacks are called when the elements that
+         *      match the selector are added to or removed from the contexts
+         * @param {string} selector: the selector of the elements
+         * @param {function} added: the function called for each matching element (including the ones already present)
+         * @param {function} removed: the function called when a matching element is removed
+         * @param {*} contexts: the list of elements inside which the elements are watched
+         * @returns a function that cancels the registration
+         */
+        function _registerLiveHook(selector, added, removed, contexts) {
+            let hook = { selector, added, removed, contexts, present: new Set() };
+            contexts.forEach((context) => context.querySelectorAll(selector).forEach((element) => {
+                if (!hook.present.has(element)) {
+                    hook.present.add(element);
+                    added.call(element, element);
+                }
+            }));
+            _liveHooks.add(hook);
+            if (_liveObserver === null) {
+                _liveObserver = new MutationObserver(_processMutations);
+                _liveObserver.observe(document, { childList: true, subtree: true });
+            }
+            return () => {
+                _liveHooks.delete(hook);
+                if ((_liveHooks.size === 0) && (_liveObserver !== null)) {
+                    _liveObserver.disconnect();
+                    _liveObserver = null;
+                }
+            };
+        }
+
+        /**
+         * Function that calls a function for each element that matches a selector, both for the ones that are already in the
+         *      document and for the ones that are added later (e.g. by other libraries). The function is called as
+         *      callback(element), bound to the element.
+         * @param {string} selector: the selector of the elements
+         * @param {function} callback: the function to call for each element
+         * @param {*} context: if set, only the elements inside the context (an element or a collection) are considered
+         * @returns a function that cancels the registration
+         */
+        $.onAdded = function(selector, callback, context = document) {
+            return _registerLiveHook(selector, callback, (element) => {}, Array.from($(context)));
+        }
+
+        /**
+         * Function that calls a function when an element that matches a selector is removed from the document. The function
+         *      is called as callback(element), bound to the element.
+         * @param {string} selector: the selector of the elements
+         * @param {function} callback: the function to call for each element removed
+         * @param {*} context: if set, only the elements inside the context (an element or a collection) are considered, and
+         *      moving an element out of the context is considered as removing it
+         * @returns a function that cancels the registration
+         */
+        $.onRemoved = function(selector, callback, context = document) {
+            return _registerLiveHook(selector, (element) => {}, callback, Array.from($(context)));
+        }
+
+        /**
+         * Function that calls a function for each element that matches a selector inside the elements of the collection,
+         *      both for the ones that are already present and for the ones that are added later (see _$.onAdded)
+         * @param {string} selector: the selector of the elements
+         * @param {function} callback: the function to call for each element
+         * @returns a function that cancels the registration
+         */
+        fn.onAdded = function(selector, callback) {
+            return _registerLiveHook(selector, callback, (element) => {}, Array.from(this));
+        }
+
+        /**
+         * Function that calls a function when an element that matches a selector is removed from the elements of the
+         *      collection (see _$.onRemoved)
+         * @param {string} selector: the selector of the elements
+         * @param {function} callback: the function to call for each element removed
+         * @returns a function that cancels the registration
+         */
+        fn.onRemoved = function(selector, callback) {
+            return _registerLiveHook(selector, (element) => {}, callback, Array.from(this));
+        }
+
+        /**
+         * Function to get or to set the value(s) of attribute(s).
+         * if param1 is string:
+         *      - attr(attrName): retrieves the attribute attrName of the first element in the collection
+         *      - attr(attrName, attrValue): sets the attribute attrName to value attrValue for all the elements in the collection
+         * 
+         * if param1 is an array
+         *      - attr(attrNames, convertCamelcaseToSnakecase): retrieves a list that contains the values for 
+         *          each attrName in attrNames
+         * 
+         * if param1 is an object
+         *      - attr(attrNameValues, convertCamelcaseToSnakecase): attrNameValues is a dictionary of values { attrName: attrValue }
+         *          to be set for each element in the collection.
+         * 
+         *        (*) the resulting dict has a function [removeNulls] attached to it that is able 
+         *            to remove the keys with null values. 
+         *                  E.g. {v1:null,v2:"val1",v3:3} => {v2:"val1",v3:3}
+         * 
+         * (*) the attributes are written in the form  <attributeName[:type][=default]> where the type is one of the registered
+         *     in _$.types (e.g. string, bool, int, float, json, date, list or enum) and the value will be converted to the
+         *     specific type (when setting the attributes, the values are converted to strings using the type). If ommited, the
+         *     type is a string. The default value is returned if the attribute does not exist or it cannot be converted.
+         */
+        fn.attr = function (param1, param2) {
+            // If param1 is a string, we are using the construction
+            //      attr(attrName, attrValue), to set the value of attrName to attrValue
+            // or
+            //      attr(attrName), to obtain the value of attrName of the first element in the collection
+            if (typeof param1 === "string") {
+                let attrName = param1;
+                let attrValue = param2;
+                if (arguments.length == 1) {
+                    if (this.length >= 1) {
+                        return getAttribute(this[0], attrName);
+                    }
+                    return null;
+                }
+                let { name, type } = _parseTypedName(attrName);
+                this.forEach((element, _) => {
+                    element.setAttribute(name, type === null? attrValue : _stringifyValue(attrValue, type));
+                })
+            } else
+            // If param1 is an array, we are using the construction
+            //      attr(listOfAttributes, convertCamelcaseToSnakecase = false), to obtain a list of values
+            //          of each of the attributes in the list. If convertCamelcaseToSnakecase is set to true,
+            //          the name of the attribute is converted from "camelCase" to "snake-case" before obtaining
+            //          the value of the attribute.
+            if (Array.isArray(param1)) {
+                // It is an array of attributes
+                let attributes = param1;
+                let convertCamelcaseToSnakecase = typeof param2 === "boolean"? param2: false;
+                let result = {};
+                let element = this[0]??null;
+                attributes.forEach((attributeName, _) => {
+                    result[attributeName] = getAttribute(element, attributeName, convertCamelcaseToSnakecase);
+                });
+                result.removeNulls = function() {
+                    Object.keys(this).forEach((key) => {
+                        if (this[key] === null) {
+                            delete this[key];
+                        }
+                    })
+                    return this;
+                }.bind(result);
+                return result;
+            } else 
+            // If param1 is an object, we are using the construction
+            //      attr(object, convertCamelCaseToSnakeCase = false), to set the attributes of the object
+            //          interpreting that each key in the object { attr1: attrValue1, attr2: attrValue2 ... }
+            //          is an attribute to set. If convertCamelcaseToSnakecase is true, the attribute names
+            //          are converted from "camelCase" to "snake-case" before setting the value of the attribute
+            if (typeof param1 === 'object') {
+                let attributes = param1;
+                let convertCamelcaseToSnakecase = typeof param2 === "boolean"? param2: false;
+                this.forEach((element, _) => {
+                    for (let attributeName in attributes) {
+                        let { name, type } = _parseTypedName(attributeName);
+                        let attributeNameToSet = convertCamelcaseToSnakecase? camelcaseToSnakecase(name) : name;
+                        element.setAttribute(attributeNameToSet, type === null? attributes[attributeName] : _stringifyValue(attributes[attributeName], type));
+                    }
+                })    
+            }
+            return this;
+        }
+
+        /**
+         * Auxiliary function that checks if an element is a checkbox or a radio button
+         * @param {*} element: the element to check
+         * @returns true if the element is a checkbox or a radio button
+         */
+        function _isCheckable(element) {
+            return (element.tagName === "INPUT") && ([ "checkbox", "radio" ].includes(element.type));
+        }
+
+        /**
+         * Auxiliary function that retrieves the value of a form control; in case of select-multiple, the value is the
+         *      list of values of the selected options
+         * @param {*} element: the form control
+         * @returns the value of the control
+         */
+        function _getControlValue(element) {
+            if ((element.tagName === "SELECT") && element.multiple) {
+                return Array.prototype.filter.call(element.options, (option) => option.selected).map((option) => option.value);
+            }
+            return element.value;
+        }
+
+        /**
+         * Auxiliary function that sets the value of a form control
+         *      - for select-multiple, the options whose value is in the list of values are selected
+         *      - for checkboxes and radio buttons, they are checked if their value is in the list of values
+         *      - for the other controls, the value is set (null is considered as an empty string)
+         * @param {*} element: the form control
+         * @param {*} value: the value (or the list of values) to set
+         */
+        function _setControlValue(element, value) {
+            let values = (Array.isArray(value)? value : [ value ]).map((x) => String(x ?? ""));
+            if (element.tagName === "SELECT") {
+                Array.prototype.forEach.call(element.options, (option) => option.selected = values.includes(option.value));
+                if (!element.multiple && values.length === 1) {
+                    element.value = values[0];
+                }
+            } else if (_isCheckable(element)) {
+                element.checked = values.includes(element.value);
+            } else {
+                element.value = values.join(",");
+            }
+        }
+
+        /**
+         * Function that retrieves or sets the value of the form controls in the collection.
+         *      - val(): retrieves the value of the first element in the collection.
+         *          - if it is a select-multiple, the value is the list of values of the selected options
+         *          - if it is a radio button, the value is the value of the checked radio button in the collection (or null
+         *              if none is checked), so that it can be used for a group of radio buttons
+         *          - if it is a checkbox, the value is the list of values of the checked checkboxes in the collection, so that
+         *              it can be used for a group of checkboxes
+         *      - val(value): sets the value of every element in the collection; for select-multiple, checkboxes and radio buttons
+         *          it may be a list of values, and the options or buttons whose value is in the list are selected or checked.
+         *      - val(function(index, currentValue)): sets the value returned by the function (bound to each element)
+         * @param {*} value: the value to set
+         * @returns the value of the first element in the collection (or undefined if the collection is empty) or the collection of objects
+         */
+        fn.val = function(value) {
+            if (value === undefined) {
+                if (this.length === 0) {
+                    return undefined;
+                }
+                let element = this[0];
+                if (_isCheckable(element)) {
+                    let checked = Array.prototype.filter.call(this, (x) => _isCheckable(x) && (x.type === element.type) && x.checked);
+                    if (element.type === "radio") {
+                        return checked.length > 0? checked[0].value : null;
+                    }
+                    return checked.map((x) => x.value);
+                }
+                return _getControlValue(element);
+            }
+            this.forEach((element, i) => {
+                let valueToSet = value;
+                if (typeof value === "function") {
+                    valueToSet = value.call(element, i, _getControlValue(element));
+                }
+                _setControlValue(element, valueToSet);
+            });
+            return this;
+        }
+
+        /**
+         * Function that retrieves the list of name and value pairs of the form controls in the collection, as they would be
+         *      submitted in a form. The collection may contain forms, form controls or any other element that contains form
+         *      controls. The controls without name, the disabled ones, the buttons, the files and the unchecked checkboxes or
+         *      radio buttons are not included.
+         * @returns an array of objects { name: <name of the control>, value: <value of the control> }
+         */
+        fn.serializeArray = function() {
+            let controls = [];
+            this.forEach((element, _) => {
+                if (element.tagName === "FORM") {
+                    controls.push(...element.elements);
+                } else if ([ "INPUT", "SELECT", "TEXTAREA" ].includes(element.tagName)) {
+                    controls.push(element);
+                } else {
+                    controls.push(...element.querySelectorAll("input, select, textarea"));
+                }
+            });
+            let result = [];
+            _uniqueSort(controls).forEach((control) => {
+                if ((!control.name) || control.matches(":disabled") || (control.tagName === "FIELDSET") || (control.tagName === "OUTPUT")) {
+                    return;
+                }
+                if ([ "submit", "button", "reset", "image", "file" ].includes(control.type)) {
+                    return;
+                }
+                if (_isCheckable(control) && (!control.checked)) {
+                    return;
+                }
+                let value = _getControlValue(control);
+                (Array.isArray(value)? value : [ value ]).forEach((value) => {
+                    result.push({ name: control.name, value: value.replace(/\r?\n/g, "\r\n") });
+                });
+            });
+            return result;
+        }
+
+        /**
+         * Function that encodes the form controls in the collection as a query string (e.g. "name=John&age=32"), as they
+         *      would be submitted in a form (see serializeArray)
+         * @returns the query string
+         */
+        fn.serialize = function() {
+            let params = new URLSearchParams();
+            this.serializeArray().forEach(({ name, value }) => params.append(name, value));
+            return params.toString();
+        }
+
+        /**
+         * Auxiliary function that sets a value in a nested object, following a list of keys. An empty key means that the
+         *      value is appended to an array; if a key is repeated, the values are grouped in an array.
+         * @param {*} target: the object (or array) in which to set the value
+         * @param {*} keys: the list of keys (e.g. [ "user", "address", "city" ])
+         * @param {*} value: the value to set
+         */
+        function _setNestedValue(target, keys, value) {
+            let [ key, nextKey ] = keys;
+            let isArrayKey = (key) => (key === "") || /^\d+$/.test(key);
+            if (keys.length === 1) {
+                if (key === "") {
+                    target.push(value);
+                } else if (target[key] === undefined) {
+                    target[key] = value;
+                } else if (Array.isArray(target[key])) {
+                    target[key].push(value);
+                } else {
+                    target[key] = [ target[key], value ];
+                }
+                return;
+            }
+            if (key === "") {
+                // Something like items[][name]: a new object is started when the key is already set in the last one
+                let last = target[target.length - 1];
+                if ((last === null) || (typeof last !== "object") || (last[nextKey] !== undefined)) {
+                    last = isArrayKey(nextKey)? [] : {};
+                    target.push(last);
+                }
+                _setNestedValue(last, keys.slice(1), value);
+                return;
+            }
+            if ((target[key] === null) || (typeof target[key] !== "object")) {
+                target[key] = isArrayKey(nextKey)? [] : {};
+            }
+            _setNestedValue(target[key], keys.slice(1), value);
+        }
+
+        /**
+         * Function that builds an object with the values of the form controls in the collection (see serializeArray). The
+         *      names of the controls are interpreted to build nested objects and arrays:
+         *          - user[address][city] sets the value in { user: { address: { city: <value> } } }
+         *          - tags[] appends the value to the array { tags: [ <value>, ... ] }
+         *          - the names that appear more than once are grouped in an array
+         * 
+         * (*) the names may be written in the form <name[:type][=default]> where the type is one of the registered in _$.types
+         *     and the value will be converted to the specific type (e.g. "user[age]:int"). If ommited, the type is a string.
+         * @returns the object with the values
+         */
+        fn.serializeObject = function() {
+            let result = {};
+            this.serializeArray().forEach(({ name, value }) => {
+                let typedName = _parseTypedName(name);
+                name = typedName.name;
+                if (typedName.type !== null) {
+                    value = convertValue(value, typedName.type, typedName.defaultValue);
+                }
+                let nameMatch = name.match(/^([^\[\]]+)((?:\[[^\[\]]*\])*)$/);
+                if (nameMatch === null) {
+                    _setNestedValue(result, [ name ], value);
+                    return;
+                }
+                let keys = [ nameMatch[1], ...Array.from(nameMatch[2].matchAll(/\[([^\[\]]*)\]/g), (x) => x[1]) ];
+                _setNestedValue(result, keys, value);
+            });
+            return result;
+        }
+
+        /**
+         * Auxiliary function that splits a binding expression written as <path[:type]> (e.g. "user.age:int") into its path
+         *      and its type (see getAttribute)
+         * @param {string} expression: the binding expression
+         * @returns an object { path: <list of keys>, type: <type> }
+         */
+        function _parseBinding(expression) {
+            let parts = expression.trim().split(":");
+            return { path: parts[0].split(".").filter((key) => key !== ""), type: parts.length > 1? parts[1] : "string" };
+        }
+
+        /**
+         * Auxiliary function that obtains the value in an object following a path of keys
+         * @param {*} object: the object
+         * @param {*} path: the list of keys
+         * @returns the value, or undefined if any of the keys does not exist
+         */
+        function _getPath(object, path) {
+            return path.reduce((value, key) => ((value === null) || (value === undefined))? undefined : value[key], object);
+        }
+
+        /**
+         * Auxiliary function that sets a value in an object following a path of keys, creating the intermediate objects if needed
+         * @param {*} object: the object
+         * @param {*} path: the list of keys
+         * @param {*} value: the value to set
+         */
+        function _setPath(object, path, value) {
+            let target = object;
+            path.slice(0, -1).forEach((key) => {
+                if ((target[key] === null) || (typeof target[key] !== "object")) {
+                    target[key] = {};
+                }
+                target = target[key];
+            });
+            target[path[path.length - 1]] = value;
+        }
+
+        /**
+         * Auxiliary function that wraps an object in a Proxy that calls a function whenever the object (or any of the objects
+         *      or arrays that it contains) is modified
+         * @param {*} target: the object to wrap
+         * @param {function} onChange: the function to call when the object is modified
+         * @param {WeakMap} proxies: the proxies already created for the objects, so that each object has a single proxy
+         * @returns the proxy
+         */
+        function _createReactive(target, onChange, proxies = new WeakMap()) {
+            if (proxies.has(target)) {
+                return proxies.get(target);
+            }
+            let isReactive = (value) => Array.isArray(value) || (Object.prototype.toString.call(value) === "[object Object]");
+            let proxy = new Proxy(target, {
+                get: (object, key, receiver) => {
+                    let value = Reflect.get(object, key, receiver);
+                    return isReactive(value)? _createReactive(value, onChange, proxies) : value;
+                },
+                set: (object, key, value, receiver) => {
+                    let result = Reflect.set(object, key, value, receiver);
+                    onChange();
+                    return result;
+                },
+                deleteProperty: (object, key) => {
+                    let result = Reflect.deleteProperty(object, key);
+                    onChange();
+                    return result;
+                }
+            });
+            proxies.set(target, proxy);
+            return proxy;
+        }
+
+        /**
+         * Auxiliary function that updates an element according to its data-bind-* attributes and the values in the model
+         * @param {*} element: the element
+         * @param {*} model: the model
+         */
+        function _renderBindings(element, model) {
+            for (let key in element.dataset) {
+                if (!key.startsWith("bind")) {
+                    continue;
+                }
+                let { path, type } = _parseBinding(element.dataset[key]);
+                let value = _getPath(model, path);
+                if (key === "bindText") {
+                    element.textContent = value ?? "";
+                } else if (key === "bindHtml") {
+                    _cleanData(element, true);
+                    element.replaceChildren(...$.parseHTML(String(value ?? ""), { sanitize: true }));
+                } else if (key === "bindValue") {
+                    if (_isCheckable(element) && ((typeof value === "boolean") || (type === "bool"))) {
+                        element.checked = !!value;
+                    } else if (_isCheckable(element) || (convertValue(element.value, type) !== value)) {
+                        // The value of the text controls is set only if it changed, not to move the cursor while typing
+                        _setControlValue(element, value);
+                    }
+                } else if (key.startsWith("bindAttr")) {
+                    let attributeName = camelcaseToSnakecase(key.slice("bindAttr".length)).replace(/^-/, "");
+                    if ((value === null) || (value === undefined) || (value === false) || _isUnsafeAttribute(attributeName, value)) {
+                        element.removeAttribute(attributeName);
+                    } else {
+                        element.setAttribute(attributeName, value === true? "" : value);
+                    }
+                } else if (key.startsWith("bindClass")) {
+                    element.classList.toggle(camelcaseToSnakecase(key.slice("bindClass".length)).replace(/^-/, ""), !!value);
+                }
+            }
+        }
+
+        /**
+         * The binding of each root element (i.e. its render function), so that binding a new model replaces the previous one
+         */
+        const _bindings = new WeakMap();
+
+        /**
+         * Function that binds a model (i.e. a plain object) to the markup inside the elements of the collection, so that the
+         *      elements are kept in sync with the model. The bindings are set using attributes whose value is the path of the
+         *      value in the model (e.g. "user.name"):
+         *          - data-bind-text: sets the text of the element
+         *          - data-bind-html: sets the HTML content of the element, sanitized using _$.parseHTML (the data and the
+         *              event handlers of the elements replaced are removed)
+         *          - data-bind-attr-<name>: sets the attribute <name> (it is removed if the value is null, undefined or false,
+         *              and also if it is not safe, i.e. an event handler or a javascript: URL)
+         *          - data-bind-class-<name>: adds the class <name> if the value is "true"-ish, or removes it otherwise
+         *          - data-bind-value: sets the value of a form control, and the changes made in the control are written
+         *              back to the model (if the value is a boolean, it sets the checked state of checkboxes; otherwise a
+         *              checkbox writes its value while checked and null when unchecked, or adds and removes its value if
+         *              the value in the model is a list)
+         * 
+         * (*) the paths may be written in the form <path[:type]> where the type may be one of [ string, bool, int, float ], so
+         *     that the values of the form controls are converted to that type when written to the model (e.g. "user.age:int").
+         * (*) the DOM is updated in a batch after the changes made to the model (i.e. in a microtask).
+         * (*) binding a new model to an element replaces the previous binding (i.e. the previous model is not written
+         *     nor rendered anymore).
+         * @param {*} model: the object to bind
+         * @returns the model wrapped in a Proxy; the changes made to it are reflected in the DOM
+         */
+        fn.bind = function(model) {
+            let roots = Array.from(this);
+            let proxy = null;
+            let render = () => roots.filter((root) => _bindings.get(root) === render).forEach((root) =>
+                [ root, ...root.querySelectorAll("*") ].forEach((element) => _renderBindings(element, model)));
+            roots.forEach((root) => _bindings.set(root, render));
+            let scheduled = false;
+            let scheduleRender = () => {
+                if (!scheduled) {
+                    scheduled = true;
+                    queueMicrotask(() => {
+                        scheduled = false;
+                        render();
+                    });
+                }
+            };
+            proxy = _createReactive(model, scheduleRender);
+            this.off("input.bind change.bind").on("input.bind change.bind", "[data-bind-value]", function() {
+                let { path, type } = _parseBinding(this.dataset.bindValue);
+                let current = _getPath(model, path);
+                if (_isCheckable(this) && ((typeof current === "boolean") || (type === "bool"))) {
+                    _setPath(proxy, path, this.checked);
+                } else if (_isCheckable(this) && (this.type === "checkbox")) {
+                    let value = convertValue(this.value, type);
+                    if (Array.isArray(current)) {
+                        let values = current.filter((x) => x !== value);
+                        _setPath(proxy, path, this.checked? [ ...values, value ] : values);
+                    } else {
+                        _setPath(proxy, path, this.checked? value : null);
+                    }
+                } else if ((this.type !== "radio") || this.checked) {
+                    let value = _getControlValue(this);
+                    _setPath(proxy, path, Array.isArray(value)? value : convertValue(value, type));
+                }
+            });
+            render();
+            return proxy;
+        }
+
+        /**
+         * The payload of the element that is being dragged using "draggable" (it is null if no element is being dragged)
+         */
+        let _dragPayload = null;
+
+        /**
+         * Auxiliary function that checks if a file matches a list of accepted types, that may be mime types (e.g. "image/png"),
+         *      mime types with wildcards (e.g. "image/*") or extensions (e.g. ".pdf"), as in the "accept" attribute of inputs
+         * @param {File} file: the file to check
+         * @param {*} accept: the list of accepted types (an array or a string separated by commas)
+         * @returns true if the file matches any of the types, false otherwise
+         */
+        function _acceptsFile(file, accept) {
+            if (typeof accept === "string") {
+                accept = accept.split(",");
+            }
+            return accept.map((type) => type.trim().toLowerCase()).filter((type) => type !== "").some((type) => {
+                if (type.startsWith(".")) {
+                    return file.name.toLowerCase().endsWith(type);
+                }
+                if (type.endsWith("/*")) {
+                    return file.type.toLowerCase().startsWith(type.slice(0, -1));
+                }
+                return file.type.toLowerCase() === type;
+            });
+        }
+
+        /**
+         * Auxiliary function that splits a list of files into the accepted ones and the rejected ones, according to the
+         *      filters of the options of "droppable"
+         * @param {*} files: the list of files
+         * @param {*} options: the options of "droppable" (accept, maxSize and maxFiles)
+         * @returns an object { accepted: <list of files>, rejected: <list of { file, reason }> } where reason is one of
+         *      "type", "size" or "count"
+         */
+        function _filterFiles(files, options) {
+            let accepted = [];
+            let rejected = [];
+            files.forEach((file) => {
+                if ((options.accept !== null) && (!_acceptsFile(file, options.accept))) {
+                    rejected.push({ file, reason: "type" });
+                } else if ((options.maxSize !== null) && (file.size > options.maxSize)) {
+                    rejected.push({ file, reason: "size" });
+                } else if ((options.maxFiles !== null) && (accepted.length >= options.maxFiles)) {
+                    rejected.push({ file, reason: "count" });
+                } else {
+                    accepted.push(file);
+                }
+            });
+            return { accepted, rejected };
+        }
+
+        /**
+         * Auxiliary function that obtains the files in a FileSystemEntry (obtained using webkitGetAsEntry), walking the
+         *      folders recursively. Each file gets a property "fullPath" with its path in the dropped folder.
+         * @param {*} entry: the entry
+         * @returns a promise that is resolved with the list of files
+         */
+        function _getEntryFiles(entry) {
+            if (entry.isFile) {
+                return new Promise((resolve, reject) => entry.file((file) => {
+                    file.fullPath = entry.fullPath;
+                    resolve([ file ]);
+                }, reject));
+            }
+            let reader = entry.createReader();
+            let entries = [];
+            // readEntries returns the entries in batches, so it must be called until it returns an empty list
+            let readBatch = () => new Promise((resolve, reject) => reader.readEntries(resolve, reject)).then((batch) => {
+                if (batch.length === 0) {
+                    return Promise.all(entries.map(_getEntryFiles)).then((files) => files.flat());
+                }
+                entries.push(...batch);
+                return readBatch();
+            });
+            return readBatch();
+        }
+
+        /**
+         * Auxiliary function that obtains the files dropped in a drop event; if any of the dropped items is a folder, it is
+         *      walked recursively to obtain the files in it
+         * @param {DataTransfer} dataTransfer: the dataTransfer of the event
+         * @param {boolean} directories: if false, the folders are not walked
+         * @returns a promise that is resolved with the list of files
+         */
+        function _getDroppedFiles(dataTransfer, directories) {
+            let entries = [];
+            if (directories && (dataTransfer.items !== undefined)) {
+                // The entries must be obtained while handling the event, because the dataTransfer is not available later
+                entries = Array.from(dataTransfer.items).filter((item) => (item.kind === "file") && (typeof item.webkitGetAsEntry === "function")).map((item) => item.webkitGetAsEntry());
+            }
+            if ((entries.length === 0) || (!entries.some((entry) => (entry !== null) && entry.isDirectory))) {
+                return Promise.resolve(Array.from(dataTransfer.files ?? []));
+            }
+            return Promise.all(entries.filter((entry) => entry !== null).map(_getEntryFiles)).then((files) => files.flat());
+        }
+
+        /**
+         * Function that makes an object droppable (i.e. it is possible to drop files, images, etc.)
+         *      on it. When dropping anything, one of the callbacks will be called: onDropFiles (when the dropped
+         *      thing is a file or a set of files), onDropData (when the thing dropped is an element made draggable
+         *      using "draggable"), or onDropOther, when the thing dropped is other than a file.
+         *      It can be used as droppable(onDropFiles, onDropOther, options) or droppable(options), where the options are
+         *          - onDropFiles: function(files, event), called with the array of accepted files
+         *          - onDropOther: function(dataTransfer, event), called when the things dropped are not files
+         *          - onDropData: function(payload, event), called with the payload of an element made draggable using
+         *              "draggable" (if not set, onDropOther is called)
+         *          - onReject: function(rejected, event), called with the list of the files that do not pass the filters,
+         *              as objects { file, reason }, where reason is one of "type", "size" or "count"
+         *          - hoverClass: the css class to add to the object while dragging something over it
+         *          - accept: the accepted types of files (e.g. "image/*,.pdf" or [ "image/*", ".pdf" ])
+         *          - maxSize: the maximum size of each file, in bytes
+         *          - maxFiles: the maximum number of files
+         *          - directories: if true (default), the dropped folders are walked recursively to obtain their files
+         *          - onError: function(error, event), called if the dropped files cannot be read (e.g. a folder that cannot
+         *              be walked); by default, the error is reported in the console
+         * @param {function} onDropFiles: called when the thing dropped is a file or a set of files; in that
+         *      case, the parameter will be an array of files
+         * @param {function} onDropOther: called when the things dropped are not files
+         * @param {*} options: the options
+         * @returns the collection of objects
+         */
+        fn.droppable = function (onDropFiles, onDropOther, options) {
+            if ((typeof onDropFiles === "object") && (onDropFiles !== null)) {
+                options = onDropFiles;
+            } else {
+                options = Object.assign({}, options);
+                if (onDropFiles !== undefined) {
+                    options.onDropFiles = onDropFiles;
+                }
+                if (onDropOther !== undefined) {
+                    options.onDropOther = onDropOther;
+                }
+            }
+            options = Object.assign({
+                onDropFiles: (files, event) => {},
+                onDropOther: (content, event) => {},
+                onDropData: null,
+                onReject: (rejected, event) => {},
+                onError: (error, event) => console.error("nojQuery: error reading the dropped files", error),
+                hoverClass: null,
+                accept: null,
+                maxSize: null,
+                maxFiles: null,
+                directories: true
+            }, options);
+
+            this.forEach((element, i) => {
+                // The counter of dragenter/dragleave events is needed because they are also fired when entering the children
+                let dragCounter = 0;
+                let setHover = (hover) => {
+                    if (options.hoverClass !== null) {
+                        element.classList.toggle(options.hoverClass, hover);
+                    }
+                };
+                $(element).off('.droppable').on({
+                    'dragenter.droppable': (event) => {
+                        event.preventDefault();
+                        if (++dragCounter === 1) {
+                            setHover(true);
+                        }
+                    },
+                    'dragleave.droppable': (event) => {
+                        if (--dragCounter <= 0) {
+                            dragCounter = 0;
+                            setHover(false);
+                        }
+                    },
+                    'dragover.droppable': (event) => event.preventDefault(),
+                    'drop.droppable': (event) => {
+                        event.preventDefault();
+                        dragCounter = 0;
+                        setHover(false);
+                        if ((event.dataTransfer.files) && (event.dataTransfer.files.length > 0)) {
+                            _getDroppedFiles(event.dataTransfer, options.directories).then((files) => {
+                                let { accepted, rejected } = _filterFiles(files, options);
+                                if (rejected.length > 0) {
+                                    options.onReject(rejected, event);
+                                }
+                                if (accepted.length > 0) {
+                                    options.onDropFiles(accepted, event);
+                                }
+                            }, (error) => options.onError(error, event));
+                        } else if ((_dragPayload !== null) && (options.onDropData !== null)) {
+                            options.onDropData(_dragPayload.payload, event);
+                        } else {
+                            options.onDropOther(event.dataTransfer, event);
+                        }
+                    }
+                });
+            })
+            return this;
+        }
+
+        /**
+         * Function that makes the elements in the collection draggable inside the page, so that they can be dropped in
+         *      the objects made droppable using "droppable" (that receive the payload in their onDropData callback).
+         * @param {*} payload: the data to transfer; any value or a function(event) bound to the element that returns it. If it
+         *      is a string, it is also set as "text/plain" in the dataTransfer (otherwise it is set as json)
+         * @param {*} options: an object { effectAllowed, draggingClass }, where effectAllowed is the effect allowed for the
+         *      drag operation (default: "move") and draggingClass is the css class to add to the element while it is dragged
+         * @returns the collection of objects
+         */
+        fn.draggable = function (payload, options = {}) {
+            options = Object.assign({ effectAllowed: "move", draggingClass: null }, options);
+            this.forEach((element, i) => {
+                element.setAttribute("draggable", "true");
+                $(element).off('.draggable').on({
+                    'dragstart.draggable': (event) => {
+                        let value = typeof payload === "function"? payload.call(element, event) : payload;
+                        _dragPayload = { element, payload: value };
+                        event.dataTransfer.effectAllowed = options.effectAllowed;
+                        try {
+                            event.dataTransfer.setData("text/plain", typeof value === "string"? value : JSON.stringify(value));
+                        } catch (_) { }
+                        if (options.draggingClass !== null) {
+                            element.classList.add(options.draggingClass);
+                        }
+                    },
+                    'dragend.draggable': (event) => {
+                        _dragPayload = null;
+                        if (options.draggingClass !== null) {
+                            element.classList.remove(options.draggingClass);
+                        }
+                    }
+                });
+            });
+            return this;
+        }
+
+        /**
+         * Auxiliary function that reads the content of a file (or a blob) using a FileReader
+         * @param {Blob} file: the file to read
+         * @param {string} method: the method of the FileReader to use (readAsText, readAsDataURL or readAsArrayBuffer)
+         * @param  {...any} args: extra arguments for the method (e.g. the encoding for readAsText)
+         * @returns a promise that is resolved with the content of the file
+         */
+        function _readFile(file, method, ...args) {
+            return new Promise((resolve, reject) => {
+                let reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader[method](file, ...args);
+            });
+        }
+
+        /**
+         * Function that reads the content of a file (or a blob) as text
+         * @param {Blob} file: the file to read
+         * @param {string} encoding: the encoding of the file (default: UTF-8)
+         * @returns a promise that is resolved with the text
+         */
+        $.readAsText = function (file, encoding) {
+            return encoding === undefined? _readFile(file, "readAsText") : _readFile(file, "readAsText", encoding);
+        }
+
+        /**
+         * Function that reads the content of a file (or a blob) as a data URL (e.g. to show a preview of an image)
+         * @param {Blob} file: the file to read
+         * @returns a promise that is resolved with the data URL
+         */
+        $.readAsDataURL = function (file) {
+            return _readFile(file, "readAsDataURL");
+        }
+
+        /**
+         * Function that reads the content of a file (or a blob) as an ArrayBuffer
+         * @param {Blob} file: the file to read
+         * @returns a promise that is resolved with the ArrayBuffer
+         */
+        $.readAsArrayBuffer = function (file) {
+            return _readFile(file, "readAsArrayBuffer");
+        }
+
+        /**
+         * The store for the data attached to the elements using "data"; each element is a key in the WeakMap, and the
+         *      value is a dictionary with the data of the element (so that it is released when the element is garbage collected)
+         */
+        const _dataStore = new WeakMap();
+
+        /**
+         * Auxiliary function that retrieves the data store of an element
+         * @param {*} element: the element
+         * @param {boolean} create: if true, the store is created if it does not exist
+         * @returns the dictionary with the data of the element, or null if it does not exist (and create is false)
+         */
+        function _getDataStore(element, create = false) {
+            if ((!_dataStore.has(element)) && create) {
+                _dataStore.set(element, {});
+            }
+            return _dataStore.get(element) ?? null;
+        }
+
+        /**
+         * Auxiliary function that removes the data store and the event handlers of an element and of all its descendants
+         *      (i.e. the element is not going to be used anymore)
+         * @param {*} element: the element
+         * @param {boolean} onlyDescendants: if true, the element itself is kept (e.g. when its content is replaced)
+         */
+        function _cleanData(element, onlyDescendants = false) {
+            let elements = typeof element.querySelectorAll === "function"? Array.from(element.querySelectorAll("*")) : [];
+            if (!onlyDescendants) {
+                elements.unshift(element);
+            }
+            elements.forEach((x) => {
+                _dataStore.delete(x);
+                _removeAllEventHandlers(x);
+            });
+        }
+
+        /**
+         * Auxiliary function that converts the value of a data-* attribute in the same way than jQuery: "true", "false" and
+         *      "null" are converted to the corresponding values, the numbers are converted to numbers (if they do not lose
+         *      precision) and the values that look like JSON objects or arrays are parsed.
+         * @param {string} value: the value of the attribute
+         * @returns the converted value
+         */
+        function _parseDataValue(value) {
+            if ((value === undefined) || (value === null)) {
+                return value;
+            }
+            if (value === "true") {
+                return true;
+            }
+            if (value === "false") {
+                return false;
+            }
+            if (value === "null") {
+                return null;
+            }
+            if (value === String(Number(value)) && (value.trim() !== "")) {
+                return Number(value);
+            }
+            if (/^(?:\{[\w\W]*\}|\[[\w\W]*\])$/.test(value)) {
+                try { return JSON.parse(value); } catch (_) { }
+            }
+            return value;
+        }
+
+        /**
+         * Function that attaches data of any type (e.g. objects, widget instances or callbacks) to the elements of the collection,
+         *      or retrieves the data of the first element in the collection.
+         *      - data(): retrieves a dictionary with all the data of the first element, including the data-* attributes
+         *      - data(name): retrieves the value of the data "name" of the first element; if it has not been set using "data", the
+         *          value of the data-* attribute is used
+         *      - data(name, value): sets the value of the data "name" for all the elements in the collection
+         *      - data({ name1: value1, name2: value2, ... }): sets the values of the data for all the elements in the collection
+         * 
+         * (*) the data is kept in a store in memory, so setting it does not change the data-* attributes of the elements.
+         * (*) the values of the data-* attributes are converted in the same way than jQuery does (i.e. "true", "false", "null",
+         *     numbers and JSON objects or arrays are converted to their values).
+         * (*) the names may be written in "camelCase" or in "snake-case" (e.g. "myValue" or "my-value").
+         * (*) the names may include a type and a default value, as in "attr" (e.g. "since:date" or "page:int=1"); the
+         *     values of the data-* attributes are converted to that type, and the strings set are converted as well.
+         * @param {*} name: the name of the data, or a dictionary of names and values
+         * @param {*} value: the value to set for the data
+         * @returns the value of the data (or null if the collection is empty) or the collection of objects
+         */
+        fn.data = function (name, value) {
+            if ((typeof name === "object") && (name !== null)) {
+                for (let key in name) {
+                    this.data(key, name[key]);
+                }
+                return this;
+            }
+            if (name === undefined) {
+                if (this.length === 0) {
+                    return null;
+                }
+                let result = {};
+                let dataset = this[0].dataset ?? {};
+                for (let key in dataset) {
+                    result[key] = _parseDataValue(dataset[key]);
+                }
+                return Object.assign(result, _getDataStore(this[0]));
+            }
+            let { name: dataName, type, defaultValue } = _parseTypedName(name);
+            name = snakecaseToCamelcase(dataName);
+            if (value === undefined) {
+                if (this.length === 0) {
+                    return null;
+                }
+                let store = _getDataStore(this[0]);
+                if ((store !== null) && (name in store)) {
+                    return store[name];
+                }
+                let rawValue = (this[0].dataset ?? {})[name];
+                if (type !== null) {
+                    return convertValue(rawValue, type, defaultValue);
+                }
+                return _parseDataValue(((rawValue === undefined) && (defaultValue !== undefined))? defaultValue : rawValue);
+            }
+            if ((type !== null) && (typeof value === "string")) {
+                value = convertValue(value, type, defaultValue);
+            }
+            this.forEach((element, _) => _getDataStore(element, true)[name] = value);
+            return this;
+        }
+
+        /**
+         * Function that removes data from the store of the elements in the collection (the data-* attributes are not changed)
+         * @param {*} names: the name of the data to remove, a list of names (either an array or a string of names separated by
+         *      spaces), or nothing to remove all the data
+         * @returns the collection of objects
+         */
+        fn.removeData = function (names) {
+            if (typeof names === "string") {
+                names = names.split(/\s+/).filter((name) => name !== "");
+            }
+            this.forEach((element, _) => {
+                if (names === undefined) {
+                    _dataStore.delete(element);
+                    return;
+                }
+                let store = _getDataStore(element);
+                if (store !== null) {
+                    names.forEach((name) => delete store[snakecaseToCamelcase(name)]);
+                }
+            });
+            return this;
+        }
+
+        /**
+         * Function that checks if the first element in the collection has data in the store (the data-* attributes are not considered)
+         * @param {string} name: the name of the data to check; if not set, it checks if there is any data
+         * @returns true if the element has the data, false otherwise (or if the collection is empty)
+         */
+        fn.hasData = function (name) {
+            if (this.length === 0) {
+                return false;
+            }
+            let store = _getDataStore(this[0]);
+            if (store === null) {
+                return false;
+            }
+            if (name === undefined) {
+                return Object.keys(store).length > 0;
+            }
+            return snakecaseToCamelcase(name) in store;
+        }
+
+        /**
+         * The css properties whose numeric values are not expressed in pixels, so "px" is not appended to them
+         *      when setting a number (e.g. css("opacity", 0.5) or css("zIndex", 10))
+         */
+        const _cssUnitlessProperties = [ 
+            "animation-iteration-count", "aspect-ratio", "border-image-outset", "border-image-slice", "border-image-width",
+            "column-count", "columns", "fill-opacity", "flex", "flex-grow", "flex-shrink", "flood-opacity", "font-weight",
+            "grid-area", "grid-column", "grid-column-end", "grid-column-start", "grid-row", "grid-row-end", "grid-row-start",
+            "line-clamp", "line-height", "opacity", "order", "orphans", "scale", "stop-opacity", "stroke-miterlimit",
+            "stroke-opacity", "tab-size", "widows", "z-index", "zoom"
+        ];
+
+        /**
+         * Auxiliary function that obtains the css name of a property, that may be written in "camelCase" (e.g. "backgroundColor")
+         *      or in "snake-case" (e.g. "background-color"). The custom properties (e.g. "--accent") are kept as they are.
+         * @param {string} name: the name of the property
+         * @returns the name of the property in "snake-case"
+         */
+        function _cssPropertyName(name) {
+            if (name.startsWith("--")) {
+                return name;
+            }
+            return camelcaseToSnakecase(name);
+        }
+
+        /**
+         * Auxiliary function that sets the value of a css property for an element
+         * @param {*} element: the element
+         * @param {string} name: the name of the property (in "camelCase" or "snake-case", or a custom property)
+         * @param {*} value: the value to set. If it is a number, "px" is appended (except for the unitless properties
+         *      and the custom properties); if it ends with "!important", the property is set with that priority;
+         *      if it is null or an empty string, the property is removed.
+         */
+        function _setCssProperty(element, name, value) {
+            let propertyName = _cssPropertyName(name);
+            if ((value === null) || (value === undefined) || (value === "")) {
+                element.style.removeProperty(propertyName);
+                return;
+            }
+            if ((typeof value === "number") && (!propertyName.startsWith("--")) && (!_cssUnitlessProperties.includes(propertyName))) {
+                value = value + "px";
+            }
+            let priority = "";
+            value = String(value);
+            let importantMatch = value.match(/^(.*?)\s*!\s*important\s*$/i);
+            if (importantMatch !== null) {
+                value = importantMatch[1];
+                priority = "important";
+            }
+            element.style.setProperty(propertyName, value, priority);
+        }
+
+        /**
+         * Function to get or to set the value(s) of css properties.
+         *      - css(name): retrieves the computed value of property "name" for the first element in the collection
+         *      - css([name1, name2, ...]): retrieves an object { name1: value1, name2: value2, ... } with the computed values
+         *          of the properties for the first element in the collection
+         *      - css(name, value): sets the value of property "name" for all the elements in the collection
+         *      - css(name, function(index, currentValue)): sets the value of property "name" for each element in the collection
+         *          to the value returned by the function, which is bound to the element
+         *      - css({ name1: value1, name2: value2, ... }): sets the values of the properties for all the elements in the collection
+         * 
+         * (*) the names may be written in "camelCase" (e.g. backgroundColor) or in "snake-case" (e.g. background-color), and
+         *     the custom properties (e.g. --accent) are also supported.
+         * (*) the numbers are set in pixels, except for the properties that have no units (e.g. opacity or z-index) and the
+         *     custom properties; the values that end with "!important" are set with that priority, and setting a null or empty
+         *     value removes the property.
+         * @param {*} name: the name of the property, a list of names or an object with names and values
+         * @param {*} value: the value to set
+         * @returns the value of the property (or an object with the values) or the collection of objects
+         */
+        fn.css = function(name, value) {
+            if (Array.isArray(name)) {
+                let result = {};
+                name.forEach((propertyName) => result[propertyName] = this.css(propertyName));
+                return result;
+            }
+            if (typeof name === "object") {
+                for (let propertyName in name) {
+                    this.css(propertyName, name[propertyName]);
+                }
+                return this;
+            }
+            if (value === undefined) {
+                if (this.length === 0) {
+                    return undefined;
+                }
+                return window.getComputedStyle(this[0]).getPropertyValue(_cssPropertyName(name)).trim();
+            }
+            this.forEach((element, i) => {
+                let valueToSet = value;
+                if (typeof value === "function") {
+                    valueToSet = value.call(element, i, window.getComputedStyle(element).getPropertyValue(_cssPropertyName(name)).trim());
+                }
+                _setCssProperty(element, name, valueToSet);
+            });
+            return this;
+        }
+
+        /**
+         * Auxiliary function that obtains the sum of the values (in pixels) of a set of css properties of an element
+         * @param {*} element: the element
+         * @param  {...any} properties: the names of the properties (e.g. "paddingLeft", "paddingRight")
+         * @returns the sum of the values
+         */
+        function _sumCssValues(element, ...properties) {
+            let style = window.getComputedStyle(element);
+            return properties.reduce((sum, property) => sum + (parseFloat(style[property]) || 0), 0);
+        }
+
+        /**
+         * Auxiliary function that runs a function while an element is hidden (i.e. its display is "none"), making it visible
+         *      but invisible (and out of the flow of the document) in the meanwhile, so that its dimensions can be measured
+         * @param {*} element: the element
+         * @param {function} callback: the function to run
+         * @returns the value returned by the function
+         */
+        function _whileVisible(element, callback) {
+            if (window.getComputedStyle(element).display !== "none") {
+                return callback();
+            }
+            let style = { display: element.style.display, visibility: element.style.visibility, position: element.style.position };
+            Object.assign(element.style, { display: "block", visibility: "hidden", position: "absolute" });
+            try {
+                return callback();
+            } finally {
+                Object.assign(element.style, style);
+            }
+        }
+
+        /**
+         * The css properties that make the difference between the boxes of an element, for each dimension
+         */
+        const _boxProperties = {
+            width: { padding: [ "paddingLeft", "paddingRight" ], border: [ "borderLeftWidth", "borderRightWidth" ], margin: [ "marginLeft", "marginRight" ] },
+            height: { padding: [ "paddingTop", "paddingBottom" ], border: [ "borderTopWidth", "borderBottomWidth" ], margin: [ "marginTop", "marginBottom" ] }
+        };
+
+        /**
+         * Auxiliary function that obtains the difference (in pixels) between the content box of an element and other box
+         * @param {*} element: the element
+         * @param {string} dimension: "width" or "height"
+         * @param {string} box: "content", "padding", "border" or "margin"
+         * @returns the size to add to the content box to obtain the box
+         */
+        function _boxExtra(element, dimension, box) {
+            let properties = _boxProperties[dimension];
+            let boxes = [ "padding", "border", "margin" ].slice(0, [ "content", "padding", "border", "margin" ].indexOf(box));
+            return boxes.reduce((sum, box) => sum + _sumCssValues(element, ...properties[box]), 0);
+        }
+
+        /**
+         * Auxiliary function that obtains the size of a box of an element (hidden elements are measured as if they were visible)
+         * @param {*} element: the element (if it is the document, the size of the whole document is returned)
+         * @param {string} dimension: "width" or "height"
+         * @param {string} box: "content", "padding", "border" or "margin"
+         * @returns the size in pixels
+         */
+        function _getDimension(element, dimension, box) {
+            if (element.nodeType === Node.DOCUMENT_NODE) {
+                let name = dimension === "width"? "Width" : "Height";
+                return Math.max(element.documentElement[`scroll${name}`], element.documentElement[`offset${name}`], element.documentElement[`client${name}`]);
+            }
+            return _whileVisible(element, () => {
+                let borderBox = dimension === "width"? element.offsetWidth : element.offsetHeight;
+                return borderBox - _boxExtra(element, dimension, "border") + _boxExtra(element, dimension, box);
+            });
+        }
+
+        /**
+         * Auxiliary function that sets the size of a box of an element, taking into account its box-sizing
+         * @param {*} element: the element
+         * @param {string} dimension: "width" or "height"
+         * @param {string} box: "content", "padding", "border" or "margin"
+         * @param {*} value: the size; a number (in pixels), a string with a number (in pixels) or a string with units
+         *      (that is set as is, e.g. "50%")
+         */
+        function _setDimension(element, dimension, box, value) {
+            if ((typeof value === "string") && (value.trim() !== "") && (!isNaN(Number(value)))) {
+                value = Number(value);
+            }
+            if (typeof value !== "number") {
+                element.style[dimension] = value;
+                return;
+            }
+            // The value is the size of the box, so we calculate the size of the content box and then adapt it to the box-sizing
+            let size = value - _boxExtra(element, dimension, box);
+            if (window.getComputedStyle(element).boxSizing === "border-box") {
+                size = size + _boxExtra(element, dimension, "border");
+            }
+            element.style[dimension] = `${Math.max(size, 0)}px`;
+        }
+
+        /**
+         * Auxiliary function that implements the getters and setters for the dimensions of the elements in a collection
+         * @param {*} collection: the collection
+         * @param {string} dimension: "width" or "height"
+         * @param {string} box: "content", "padding", "border" or "margin"
+         * @param {*} value: the value to set (a number, a string or a function(index, currentValue) bound to each element); if
+         *      undefined, the size of the first element is returned
+         * @returns the size of the first element in the collection (or 0 if it is empty) or the collection
+         */
+        function _dimension(collection, dimension, box, value) {
+            if (value === undefined) {
+                if (collection.length === 0) {
+                    return 0;
+                }
+                return _getDimension(collection[0], dimension, box);
+            }
+            collection.forEach((element, i) => {
+                let valueToSet = value;
+                if (typeof value === "function") {
+                    valueToSet = value.call(element, i, _getDimension(element, dimension, box));
+                }
+                _setDimension(element, dimension, box, valueToSet);
+            });
+            return collection;
+        }
+
+        /**
+         * Function that sets the width of the elements in the collection, or retrieves the width of the first
+         *   element in the collection. If the width is not set, the function will return the width of the first
+         *   element in the collection. The width is the width of the content (i.e. without padding, border and margin),
+         *   regardless of the box-sizing of the elements; the hidden elements are measured as if they were visible.
+         * @param {*} width: the width to set for the elements; a number (in pixels), a string with units (e.g. "50%") or a 
+         *   function(index, currentWidth) bound to each element that returns the width
+         * @returns the width of the first element in the collection or the collection of objects
+         */
+        fn.width = function(width) {
+            return _dimension(this, "width", "content", width);
+        }
+
+        /**
+         * Function that sets the height of the elements in the collection, or retrieves the height of the first
+         *   element in the collection (see width)
+         * @param {*} height: the height to set for the elements; a number (in pixels), a string with units (e.g. "50%") or a 
+         *   function(index, currentHeight) bound to each element that returns the height
+         * @returns the height of the first element in the collection or the collection of objects
+         */
+        fn.height = function(height) {
+            return _dimension(this, "height", "content", height);
+        }
+
+        /**
+         * Function that retrieves the inner width (i.e. including the padding) of the first element in the collection, or
+         *   sets it for all the elements
+         * @param {*} width: the inner width to set (see width)
+         * @returns the inner width of the first element in the collection or the collection of objects
+         */
+        fn.innerWidth = function(width) {
+            return _dimension(this, "width", "padding", width);
+        }
+
+        /**
+         * Function that retrieves the inner height (i.e. including the padding) of the first element in the collection, or
+         *   sets it for all the elements
+         * @param {*} height: the inner height to set (see height)
+         * @returns the inner height of the first element in the collection or the collection of objects
+         */
+        fn.innerHeight = function(height) {
+            return _dimension(this, "height", "padding", height);
+        }
+
+        /**
+         * Function that retrieves the outer width (i.e. including the padding and the border, and optionally the margin) of the
+         *   first element in the collection, or sets it for all the elements. It can be used as
+         *      - outerWidth(includeMargin): retrieves the outer width
+         *      - outerWidth(width, includeMargin): sets the outer width
+         * @param {*} width: the outer width to set (see width)
+         * @param {boolean} includeMargin: if true, the margin is included
+         * @returns the outer width of the first element in the collection or the collection of objects
+         */
+        fn.outerWidth = function(width, includeMargin = false) {
+            if (typeof width === "boolean") {
+                includeMargin = width;
+                width = undefined;
+            }
+            return _dimension(this, "width", includeMargin? "margin" : "border", width);
+        }
+
+        /**
+         * Function that retrieves the outer height (i.e. including the padding and the border, and optionally the margin) of
+         *   the first element in the collection, or sets it for all the elements (see outerWidth)
+         * @param {*} height: the outer height to set (see height)
+         * @param {boolean} includeMargin: if true, the margin is included
+         * @returns the outer height of the first element in the collection or the collection of objects
+         */
+        fn.outerHeight = function(height, includeMargin = false) {
+            if (typeof height === "boolean") {
+                includeMargin = height;
+                height = undefined;
+            }
+            return _dimension(this, "height", includeMargin? "margin" : "border", height);
+        }
+
+        /**
+         * Auxiliary function that retrieves the offset position of an element with respect to the document
+         * @param {*} element: the element
+         * @returns an object { top: <top>, left: <left> } with the offset position in pixels
+         */
+        function _getOffset(element) {
+            if ((element.nodeType !== Node.ELEMENT_NODE) || (element.getClientRects().length === 0)) {
+                return { top: 0, left: 0 };
+            }
+            let rect = element.getBoundingClientRect();
+            return {
+                top: rect.top + window.scrollY,
+                left: rect.left + window.scrollX
+            }
+        }
+
+        /**
+         * Function that retrieves the offset position (i.e. with respect to the document) of the first element in the
+         *      collection, or sets the offset position of all the elements in the collection. It can be used as
+         *      - offset(): retrieves the offset position
+         *      - offset({ top, left }): moves the elements so that their offset position is the one set (if the elements
+         *          are statically positioned, their position is set to "relative")
+         *      - offset(function(index, currentOffset)): sets the offset position returned by the function, bound to each element
+         * @param {*} coordinates: the offset position to set
+         * @returns an object with the properties top and left that represent the offset position
+         *     of the first element in the collection { top: <top>, left: <left> } where <top> and 
+         *     <left> are the offset positions in pixels, or the collection of objects
+         */
+        fn.offset = function(coordinates) {
+            if (coordinates === undefined) {
+                if (this.length === 0) {
+                    return { top: 0, left: 0 };
+                }
+                return _getOffset(this[0]);
+            }
+            this.forEach((element, i) => {
+                let currentOffset = _getOffset(element);
+                let target = typeof coordinates === "function"? coordinates.call(element, i, Object.assign({}, currentOffset)) : coordinates;
+                let style = window.getComputedStyle(element);
+                if (style.position === "static") {
+                    element.style.position = "relative";
+                }
+                let currentTop = parseFloat(style.top) || 0;
+                let currentLeft = parseFloat(style.left) || 0;
+                if ((target.top !== undefined) && (target.top !== null)) {
+                    element.style.top = `${target.top - currentOffset.top + currentTop}px`;
+                }
+                if ((target.left !== undefined) && (target.left !== null)) {
+                    element.style.left = `${target.left - currentOffset.left + currentLeft}px`;
+                }
+            });
+            return this;
+        }
+
+        /**
+         * Function that retrieves the position of the first element in the collection, relative to its offset parent (i.e.
+         *      the closest positioned ancestor); the margins of the element are not included
+         * @returns an object with the properties top and left that represent the position
+         *    of the first element in the collection { top: <top>, left: <left> } where <top> and
+         *   <left> are the positions in pixels
+         */
+        fn.position = function() {
+            if ((this.length === 0) || (this[0].nodeType !== Node.ELEMENT_NODE)) {
+                return { top: 0, left: 0 };
+            }
+            let element = this[0];
+            let style = window.getComputedStyle(element);
+            let offset;
+            let parentOffset = { top: 0, left: 0 };
+            if (style.position === "fixed") {
+                offset = element.getBoundingClientRect();
+            } else {
+                offset = _getOffset(element);
+                let offsetParent = element.offsetParent ?? document.documentElement;
+                // The body and the document element are not considered as offset parents if they are not positioned
+                while ((offsetParent !== null) && ((offsetParent === document.body) || (offsetParent === document.documentElement)) && (window.getComputedStyle(offsetParent).position === "static")) {
+                    offsetParent = offsetParent.parentNode;
+                }
+                if ((offsetParent !== null) && (offsetParent !== element) && (offsetParent.nodeType === Node.ELEMENT_NODE)) {
+                    parentOffset = _getOffset(offsetParent);
+                    parentOffset.top += _sumCssValues(offsetParent, "borderTopWidth");
+                    parentOffset.left += _sumCssValues(offsetParent, "borderLeftWidth");
+                }
+            }
+            return {
+                top: offset.top - parentOffset.top - _sumCssValues(element, "marginTop"),
+                left: offset.left - parentOffset.left - _sumCssValues(element, "marginLeft")
+            }
+        }
+
+        /**
+         * Auxiliary function that implements the getters and setters for the scroll position of the elements in a collection
+         * @param {*} collection: the collection
+         * @param {string} direction: "top" or "left"
+         * @param {*} value: the scroll position to set (in pixels); if undefined, the scroll position of the first element is returned
+         * @param {*} options: if true or { behavior: "smooth" }, the scroll is smooth
+         * @returns the scroll position of the first element in the collection (or 0 if it is empty) or the collection
+         */
+        function _scroll(collection, direction, value, options) {
+            let property = direction === "top"? "scrollTop" : "scrollLeft";
+            if (value === undefined) {
+                if (collection.length === 0) {
+                    return 0;
+                }
+                let element = collection[0];
+                return element.nodeType === Node.DOCUMENT_NODE? (direction === "top"? window.scrollY : window.scrollX) : element[property];
+            }
+            let behavior = options === true? "smooth" : ((options ?? {}).behavior ?? "auto");
+            collection.forEach((element) => {
+                let target = element.nodeType === Node.DOCUMENT_NODE? window : element;
+                if (typeof target.scrollTo === "function") {
+                    target.scrollTo({ [direction]: value, behavior });
+                } else {
+                    target[property] = value;
+                }
+            });
+            return collection;
+        }
+
+        /**
+         * Function that retrieves the vertical scroll position of the first element in the collection, or sets it for all
+         *      the elements in the collection (if the element is the document, the scroll position of the window is used)
+         * @param {number} value: the scroll position to set, in pixels
+         * @param {*} options: if true or { behavior: "smooth" }, the scroll is smooth
+         * @returns the scroll position of the first element in the collection or the collection of objects
+         */
+        fn.scrollTop = function(value, options) {
+            return _scroll(this, "top", value, options);
+        }
+
+        /**
+         * Function that retrieves the horizontal scroll position of the first element in the collection, or sets it for all
+         *      the elements in the collection (see scrollTop)
+         * @param {number} value: the scroll position to set, in pixels
+         * @param {*} options: if true or { behavior: "smooth" }, the scroll is smooth
+         * @returns the scroll position of the first element in the collection or the collection of objects
+         */
+        fn.scrollLeft = function(value, options) {
+            return _scroll(this, "left", value, options);
+        }
+
+        /**
+         * Auxiliary function that fires an event built from the entry of an observer in an element; the event does not
+         *      bubble, and the handlers receive the entry after the event (i.e. handler(event, entry))
+         * @param {*} element: the element
+         * @param {string} type: the type of event
+         * @param {*} entry: the entry of the observer (it is also the detail of the event)
+         * @param {*} properties: other properties to set in the event
+         */
+        function _fireObserverEvent(element, type, entry, properties = {}) {
+            let event = new CustomEvent(type, { bubbles: false, cancelable: false, detail: entry });
+            Object.assign(event, { __nojqueryArgs: [ entry ] }, properties);
+            element.dispatchEvent(event);
+        }
+
+        /**
+         * The ResizeObserver shared by the elements that have handlers for the "resize" event (it only exists while there
+         *      is any of them), and the set of these elements
+         */
+        let _resizeObserver = null;
+        const _resizeObserved = new Set();
+
+        _specialEvents.resize = {
+            setup: (element) => {
+                if ((ResizeObserver === undefined) || (element.nodeType !== Node.ELEMENT_NODE)) {
+                    return;
+                }
+                if (_resizeObserver === null) {
+                    _resizeObserver = new ResizeObserver((entries) => entries.forEach((entry) => _fireObserverEvent(entry.target, "resize", entry)));
+                }
+                _resizeObserved.add(element);
+                _resizeObserver.observe(element);
+            },
+            teardown: (element) => {
+                if (!_resizeObserved.delete(element)) {
+                    return;
+                }
+                _resizeObserver.unobserve(element);
+                if (_resizeObserved.size === 0) {
+                    _resizeObserver.disconnect();
+                    _resizeObserver = null;
+                }
+            }
+        };
+
+        /**
+         * The IntersectionObservers shared by the elements that have handlers for the "enterview" and "leaveview" events;
+         *      there is one for each set of options, indexed by a key built from them, and each one is an object
+         *      { observer, elements } where elements is a map from each observed element to whether it is in view or not
+         *      (or null, until the first notification)
+         */
+        const _viewObservers = new Map();
+
+        /**
+         * Auxiliary function that starts observing the visibility of an element for a set of options
+         * @param {*} element: the element
+         * @param {string} key: the key of the options
+         * @param {*} options: the options for the IntersectionObserver { threshold, rootMargin }
+         */
+        function _observeView(element, key, options) {
+            if ((IntersectionObserver === undefined) || (element.nodeType !== Node.ELEMENT_NODE)) {
+                return;
+            }
+            let viewObserver = _viewObservers.get(key);
+            if (viewObserver === undefined) {
+                let minThreshold = Math.min(...[ options.threshold ].flat());
+                viewObserver = { elements: new Map() };
+                viewObserver.observer = new IntersectionObserver((entries) => entries.forEach((entry) => {
+                    let inView = entry.isIntersecting && (entry.intersectionRatio >= minThreshold);
+                    let wasInView = viewObserver.elements.get(entry.target);
+                    if (wasInView === undefined) {
+                        return;
+                    }
+                    viewObserver.elements.set(entry.target, inView);
+                    // The first notification only fires enterview (an element that starts out of view has not left it)
+                    if ((wasInView === null)? inView : (wasInView !== inView)) {
+                            _fireObserverEvent(entry.target, inView? "enterview" : "leaveview", entry, { __nojqueryViewKey: key });
+                    }
+                }), { threshold: options.threshold, rootMargin: options.rootMargin });
+                _viewObservers.set(key, viewObserver);
+            }
+            if (!viewObserver.elements.has(element)) {
+                viewObserver.elements.set(element, null);
+                viewObserver.observer.observe(element);
+            }
+        }
+
+        /**
+         * Auxiliary function that stops observing the visibility of an element for a set of options, unless it still has
+         *      handlers that need them
+         * @param {*} element: the element
+         * @param {string} key: the key of the options
+         */
+        function _unobserveView(element, key) {
+            let viewObserver = _viewObservers.get(key);
+            if ((viewObserver === undefined) || [ "enterview", "leaveview" ].some((type) => (element.__eventHandlers?.[type] ?? []).some((handlerRecord) => handlerRecord.viewKey === key))) {
+                return;
+            }
+            viewObserver.elements.delete(element);
+            viewObserver.observer.unobserve(element);
+            if (viewObserver.elements.size === 0) {
+                viewObserver.observer.disconnect();
+                _viewObservers.delete(key);
+            }
+        }
+
+        [ "enterview", "leaveview" ].forEach((type) => {
+            _specialEvents[type] = {
+                add: (element, handlerRecord, options) => {
+                    let viewOptions = handlerRecord.viewOptions ?? { threshold: options.threshold ?? 0, rootMargin: options.rootMargin ?? "0px" };
+                    let key = JSON.stringify(viewOptions);
+                    // Each handler is only called for the events fired by the observer with its options
+                    Object.assign(handlerRecord, { viewOptions, viewKey: key, condition: (event) => event.__nojqueryViewKey === key });
+                    _observeView(element, key, viewOptions);
+                },
+                remove: (element, handlerRecord) => _unobserveView(element, handlerRecord.viewKey)
+            };
+        });
+
+        /**
+         * Function that creates a filter that checks if the elements are in the viewport, to use it with "filter", "is" or
+         *      "not" (e.g. _$('img').filter(_$.inViewport()))
+         * @param {*} options: an object with the options
+         *      - partial: if true, the elements that are partially in the viewport are also considered (default: true)
+         *      - margin: a margin (in pixels) added to the viewport (default: 0)
+         * @returns a function(index, element) that returns true if the element is in the viewport
+         */
+        $.inViewport = function({ partial = true, margin = 0 } = {}) {
+            return function(index, element = this) {
+                if ((element.nodeType !== Node.ELEMENT_NODE) || (element.getClientRects().length === 0)) {
+                    return false;
+                }
+                let rect = element.getBoundingClientRect();
+                let width = window.innerWidth ?? document.documentElement.clientWidth;
+                let height = window.innerHeight ?? document.documentElement.clientHeight;
+                if (partial) {
+                    return (rect.bottom >= -margin) && (rect.right >= -margin) && (rect.top <= height + margin) && (rect.left <= width + margin);
+                }
+                return (rect.top >= -margin) && (rect.left >= -margin) && (rect.bottom <= height + margin) && (rect.right <= width + margin);
+            };
+        }
+
+        /**
+         * The named durations for the animations (in milliseconds), and the default duration
+         */
+        const _animationSpeeds = { fast: 200, slow: 600, _default: 400 };
+
+        /**
+         * Auxiliary function that obtains the options for an animation, that may be expressed as
+         *      - a number: the duration in milliseconds
+         *      - a string: one of the named durations ("fast" or "slow")
+         *      - an object: the options for element.animate (e.g. { duration: 400, easing: "linear" })
+         * @param {*} options: the options for the animation
+         * @returns an object with the options to use in element.animate
+         */
+        function _getAnimationOptions(options) {
+            if (typeof options === "number") {
+                options = { duration: options };
+            } else if (typeof options === "string") {
+                options = { duration: _animationSpeeds[options] ?? _animationSpeeds._default };
+            }
+            return Object.assign({ duration: _animationSpeeds._default, easing: "ease" }, options);
+        }
+
+        /**
+         * Auxiliary function that retrieves the animation queue of an element, creating it if needed. The queue is
+         *      an object { steps: <list of pending steps>, current: <the step being animated>, finishing: <jump to the end> }
+         * @param {*} element: the element
+         * @returns the animation queue of the element
+         */
+        function _getAnimationQueue(element) {
+            if (element.__animationQueue === undefined) {
+                element.__animationQueue = { steps: [], current: null, finishing: false };
+            }
+            return element.__animationQueue;
+        }
+
+        /**
+         * Auxiliary function that starts the next steps in the animation queue of an element, if no other step is running.
+         *      Each step is a function step(element) that starts the animation and returns an object
+         *      { animation: <the Animation object or null>, end: function(finished) } where "end" is called when the animation
+         *      finishes (finished = true) or is stopped (finished = false); the step may also return null if there is
+         *      nothing to animate.
+         * @param {*} element: the element
+         */
+        function _runNextAnimation(element) {
+            let queue = _getAnimationQueue(element);
+            while ((queue.current === null) && (queue.steps.length > 0)) {
+                let { step, resolve } = queue.steps.shift();
+                let current = step(element);
+                if ((current === null) || (current.animation === null)) {
+                    if (current !== null) {
+                        current.end(true);
+                    }
+                    resolve();
+                    continue;
+                }
+                queue.current = current;
+                let done = (finished) => {
+                    queue.current = null;
+                    current.end(finished);
+                    resolve();
+                    _runNextAnimation(element);
+                };
+                current.animation.finished.then(() => done(true), () => done(false));
+                if (queue.finishing) {
+                    current.animation.finish();
+                }
+            }
+            if ((queue.current === null) && (queue.steps.length === 0)) {
+                queue.finishing = false;
+            }
+        }
+
+        /**
+         * Auxiliary function that adds a step to the animation queue of each element in a collection
+         * @param {*} collection: the collection of elements
+         * @param {function} step: the step to add (see _runNextAnimation)
+         * @returns a promise that is resolved with the collection when the step has finished for every element
+         */
+        function _queueAnimation(collection, step) {
+            let promises = [];
+            collection.forEach((element, _) => {
+                promises.push(new Promise((resolve) => {
+                    _getAnimationQueue(element).steps.push({ step, resolve });
+                    _runNextAnimation(element);
+                }));
+            });
+            return Promise.all(promises).then(() => collection);
+        }
+
+        /**
+         * Auxiliary function that starts an animation on an element using the Web Animations API
+         * @param {*} element: the element
+         * @param {*} keyframes: the keyframes of the animation
+         * @param {*} options: the options of the animation
+         * @returns the Animation object, or null if the browser does not support element.animate or the duration is 0
+         *      (in that case, the animation must be considered as finished)
+         */
+        function _startAnimation(element, keyframes, options) {
+            if ((typeof element.animate !== "function") || (options.duration <= 0)) {
+                return null;
+            }
+            return element.animate(keyframes, options);
+        }
+
+        /**
+         * Auxiliary function that checks if an element is hidden (i.e. its computed display is "none")
+         * @param {*} element: the element
+         * @returns true if the element is hidden, false otherwise
+         */
+        function _isHidden(element) {
+            return window.getComputedStyle(element).display === "none";
+        }
+
+        /**
+         * The default display value for each type of element (e.g. "block" for div, "inline" for span, etc.)
+         */
+        const _defaultDisplays = {};
+
+        /**
+         * Auxiliary function that obtains the default display value for an element, by creating an element of the same
+         *      type and retrieving its computed display
+         * @param {*} element: the element
+         * @returns the default display value for the type of element
+         */
+        function _getDefaultDisplay(element) {
+            let tagName = element.tagName.toLowerCase();
+            if (_defaultDisplays[tagName] === undefined) {
+                let testElement = document.createElement(tagName);
+                document.body.appendChild(testElement);
+                let display = window.getComputedStyle(testElement).display;
+                testElement.remove();
+                _defaultDisplays[tagName] = ((display === "none") || (display === ""))? "block" : display;
+            }
+            return _defaultDisplays[tagName];
+        }
+
+        /**
+         * Auxiliary function that shows an element, restoring the inline display value that it had before hiding it; the
+         *      default display for the type of element is set only if the element is still hidden by a stylesheet
+         * @param {*} element: the element
+         */
+        function _showElement(element) {
+            if (element.style.display === "none") {
+                element.style.display = element.__oldDisplay ?? "";
+            }
+            delete element.__oldDisplay;
+            if (_isHidden(element)) {
+                // The element is hidden by a stylesheet, so we need to force its display
+                element.style.display = _getDefaultDisplay(element);
+            }
+        }
+
+        /**
+         * Auxiliary function that hides an element, keeping its inline display value to be able to restore it (so that the
+         *      display set by the stylesheets, e.g. "flex", applies again when showing the element)
+         * @param {*} element: the element
+         */
+        function _hideElement(element) {
+            if (element.style.display !== "none") {
+                element.__oldDisplay = element.style.display;
+            }
+            element.style.display = "none";
+        }
+
+        /**
+         * Auxiliary function that creates the step to make an element appear by fading it in
+         * @param {*} options: the options for the animation
+         * @returns the step (see _runNextAnimation)
+         */
+        function _fadeInStep(options) {
+            return (element) => {
+                if (!_isHidden(element)) {
+                    return null;
+                }
+                _showElement(element);
+                let opacity = window.getComputedStyle(element).opacity;
+                return {
+                    animation: _startAnimation(element, [ { opacity: 0 }, { opacity: opacity === ""? 1 : opacity } ], options),
+                    end: (finished) => {}
+                };
+            }
+        }
+
+        /**
+         * Auxiliary function that creates the step to make an element disappear by fading it out
+         * @param {*} options: the options for the animation
+         * @returns the step (see _runNextAnimation)
+         */
+        function _fadeOutStep(options) {
+            return (element) => {
+                if (_isHidden(element)) {
+                    return null;
+                }
+                let opacity = window.getComputedStyle(element).opacity;
+                return {
+                    animation: _startAnimation(element, [ { opacity: opacity === ""? 1 : opacity }, { opacity: 0 } ], options),
+                    end: (finished) => {
+                        if (finished) {
+                            _hideElement(element);
+                        }
+                    }
+                };
+            }
+        }
+
+        /**
+         * Auxiliary function that creates the step to make an element appear or disappear by sliding it vertically
+         * @param {*} options: the options for the animation
+         * @param {boolean} down: true to make the element appear (slide down), false to make it disappear (slide up)
+         * @returns the step (see _runNextAnimation)
+         */
+        function _slideStep(options, down) {
+            return (element) => {
+                if (_isHidden(element) !== down) {
+                    return null;
+                }
+                if (down) {
+                    _showElement(element);
+                }
+                let style = window.getComputedStyle(element);
+                let expanded = { height: `${element.scrollHeight}px`, paddingTop: style.paddingTop, paddingBottom: style.paddingBottom };
+                let collapsed = { height: "0px", paddingTop: "0px", paddingBottom: "0px" };
+                let overflow = element.style.overflow;
+                element.style.overflow = "hidden";
+                return {
+                    animation: _startAnimation(element, down? [ collapsed, expanded ] : [ expanded, collapsed ], options),
+                    end: (finished) => {
+                        element.style.overflow = overflow;
+                        if (finished && (!down)) {
+                            _hideElement(element);
+                        }
+                    }
+                };
+            }
+        }
+
+        /**
+         * Auxiliary function that applies the last keyframe of an animation to the inline style of an element (it is used
+         *      when the browser does not support the Web Animations API)
+         * @param {*} element: the element
+         * @param {*} keyframes: the keyframes (either a list of keyframes or an object whose values are lists of values)
+         */
+        function _applyFinalKeyframe(element, keyframes) {
+            let finalKeyframe = keyframes;
+            if (Array.isArray(keyframes)) {
+                finalKeyframe = keyframes[keyframes.length - 1] ?? {};
+            }
+            for (let property in finalKeyframe) {
+                if ([ "offset", "easing", "composite" ].includes(property)) {
+                    continue;
+                }
+                let value = finalKeyframe[property];
+                if (Array.isArray(value)) {
+                    value = value[value.length - 1];
+                }
+                _setCssProperty(element, property, value);
+            }
+        }
+
+        /**
+         * Function that animates the elements in the collection using the Web Animations API (i.e. element.animate). The
+         *      animations are queued for each element, so that they are executed one after the other. When the animation
+         *      finishes, the final state is kept in the inline style of the elements.
+         * @param {*} keyframes: the keyframes of the animation (as in element.animate)
+         * @param {*} options: the options of the animation (as in element.animate), a duration in milliseconds, or one
+         *      of the named durations ("fast" or "slow")
+         * @returns a promise that is resolved with the collection when the animation has finished for every element
+         */
+        fn.animate = function(keyframes, options) {
+            options = Object.assign({ fill: "forwards" }, _getAnimationOptions(options));
+            return _queueAnimation(this, (element) => {
+                let animation = _startAnimation(element, keyframes, options);
+                return {
+                    animation: animation,
+                    end: (finished) => {
+                        if (!finished) {
+                            return;
+                        }
+                        if (animation === null) {
+                            _applyFinalKeyframe(element, keyframes);
+                        } else {
+                            if (typeof animation.commitStyles === "function") {
+                                animation.commitStyles();
+                            }
+                            animation.cancel();
+                        }
+                    }
+                };
+            });
+        }
+
+        /**
+         * Function that shows the elements in the collection, restoring the display value that they had before hiding them.
+         * @param {*} options: if set, the elements are shown by fading them in, using these options for the animation
+         * @returns the collection of objects, or a promise that is resolved with the collection when the animation
+         *      has finished for every element (if the options are set)
+         */
+        fn.show = function(options) {
+            if (options === undefined) {
+                this.forEach((element, _) => _showElement(element));
+                return this;
+            }
+            return this.fadeIn(options);
+        }
+
+        /**
+         * Function that hides the elements in the collection, keeping their display value to be able to restore it
+         * @param {*} options: if set, the elements are hidden by fading them out, using these options for the animation
+         * @returns the collection of objects, or a promise that is resolved with the collection when the animation
+         *      has finished for every element (if the options are set)
+         */
+        fn.hide = function(options) {
+            if (options === undefined) {
+                this.forEach((element, _) => _hideElement(element));
+                return this;
+            }
+            return this.fadeOut(options);
+        }
+
+        /**
+         * Function that shows the elements in the collection that are hidden and hides the ones that are visible
+         * @param {*} options: if it is a boolean, the elements are shown (true) or hidden (false); otherwise, if set, the
+         *      elements are faded in or out, using these options for the animation
+         * @returns the collection of objects, or a promise that is resolved with the collection when the animation
+         *      has finished for every element (if the options are set)
+         */
+        fn.toggle = function(options) {
+            if (typeof options === "boolean") {
+                return options? this.show() : this.hide();
+            }
+            if (options === undefined) {
+                this.forEach((element, _) => _isHidden(element)? _showElement(element) : _hideElement(element));
+                return this;
+            }
+            options = _getAnimationOptions(options);
+            return _queueAnimation(this, (element) => _isHidden(element)? _fadeInStep(options)(element) : _fadeOutStep(options)(element));
+        }
+
+        /**
+         * Function that shows the elements in the collection by fading them in
+         * @param {*} options: the options for the animation (see animate)
+         * @returns a promise that is resolved with the collection when the animation has finished for every element
+         */
+        fn.fadeIn = function(options) {
+            return _queueAnimation(this, _fadeInStep(_getAnimationOptions(options)));
+        }
+
+        /**
+         * Function that hides the elements in the collection by fading them out
+         * @param {*} options: the options for the animation (see animate)
+         * @returns a promise that is resolved with the collection when the animation has finished for every element
+         */
+        fn.fadeOut = function(options) {
+            return _queueAnimation(this, _fadeOutStep(_getAnimationOptions(options)));
+        }
+
+        /**
+         * Function that shows the elements in the collection by sliding them down
+         * @param {*} options: the options for the animation (see animate)
+         * @returns a promise that is resolved with the collection when the animation has finished for every element
+         */
+        fn.slideDown = function(options) {
+            return _queueAnimation(this, _slideStep(_getAnimationOptions(options), true));
+        }
+
+        /**
+         * Function that hides the elements in the collection by sliding them up
+         * @param {*} options: the options for the animation (see animate)
+         * @returns a promise that is resolved with the collection when the animation has finished for every element
+         */
+        fn.slideUp = function(options) {
+            return _queueAnimation(this, _slideStep(_getAnimationOptions(options), false));
+        }
+
+        /**
+         * Function that stops the animation that is running for each element in the collection; the elements are kept
+         *      in their current state, and the next animation in the queue (if any) is started.
+         * @param {boolean} clearQueue: if true, the pending animations are also removed from the queue
+         * @param {boolean} jumpToEnd: if true, the running animation is completed instead of stopped
+         * @returns the collection of objects
+         */
+        fn.stop = function(clearQueue = false, jumpToEnd = false) {
+            this.forEach((element, _) => {
+                let queue = _getAnimationQueue(element);
+                if (clearQueue) {
+                    queue.steps.splice(0, queue.steps.length).forEach(({ resolve }) => resolve());
+                }
+                if (queue.current !== null) {
+                    let animation = queue.current.animation;
+                    if (jumpToEnd) {
+                        animation.finish();
+                    } else {
+                        if (typeof animation.commitStyles === "function") {
+                            animation.commitStyles();
+                        }
+                        animation.cancel();
+                    }
+                }
+            });
+            return this;
+        }
+
+        /**
+         * Function that completes the running animation and all the pending animations in the queue of each element
+         *      in the collection, so that the elements get their final state
+         * @returns the collection of objects
+         */
+        fn.finish = function() {
+            this.forEach((element, _) => {
+                let queue = _getAnimationQueue(element);
+                queue.finishing = true;
+                if (queue.current !== null) {
+                    queue.current.animation.finish();
+                }
+                _runNextAnimation(element);
+            });
+            return this;
+        }
+
+        /**
+         * Function that clears the content of the elements in the collection by setting the innerHTML
+         *     to an empty string; the data and the event handlers of the removed elements are also removed.
+         * @returns the collection of objects
+         */
+        fn.empty = function() {
+            this.forEach((x) => {
+                _cleanData(x, true);
+                x.innerHTML = "";
+            });
+            return this;
+        }
+
+        /**
+         * Function that removes the elements in the collection from the DOM, and the data and the event handlers
+         *     attached to them (and to their descendants) using "data" and "on"
+         * @returns the collection of objects
+         */
+        fn.remove = function() {
+            this.forEach((x) => {
+                _cleanData(x);
+                x.remove();
+            });
+            return this;
+        }
+
+        /**
+         * Function that removes the elements in the collection from the DOM, but keeps the data and the event handlers
+         *     attached to them, so that they can be inserted again later
+         * @returns the collection of objects
+         */
+        fn.detach = function() {
+            this.forEach((x) => x.remove());
+            return this;
+        }
+
+        /**
+         * Auxiliary function that flattens the content to insert in the DOM into a list of nodes and strings: the arrays, the
+         *      collections and the NodeLists are flattened, and null and undefined are discarded
+         * @param {*} contents: the list of contents
+         * @returns a list of nodes and strings (the strings are HTML content)
+         */
+        function _flattenContents(contents) {
+            let result = [];
+            contents.forEach((content) => {
+                if ((content === null) || (content === undefined)) {
+                    return;
+                }
+                if ((typeof content === "string") || (typeof content === "number")) {
+                    result.push(String(content));
+                } else if (content instanceof Node) {
+                    result.push(content);
+                } else if (Array.isArray(content) || (content instanceof NodeList) || (content instanceof HTMLCollection)) {
+                    result.push(..._flattenContents(Array.from(content)));
+                }
+            });
+            return result;
+        }
+
+        /**
+         * Auxiliary function that inserts a node in a position relative to a target (the positions are the same than
+         *      in insertAdjacentHTML: beforebegin, afterbegin, beforeend and afterend)
+         * @param {*} target: the reference node
+         * @param {string} position: the position
+         * @param {Node} node: the node to insert
+         */
+        function _insertNode(target, position, node) {
+            switch (position) {
+                case "beforebegin":
+                    if (target.parentNode !== null) {
+                        target.parentNode.insertBefore(node, target);
+                    }
+                    break;
+                case "afterbegin":
+                    target.insertBefore(node, target.firstChild);
+                    break;
+                case "beforeend":
+                    target.appendChild(node);
+                    break;
+                case "afterend":
+                    if (target.parentNode !== null) {
+                        target.parentNode.insertBefore(node, target.nextSibling);
+                    }
+                    break;
+            }
+        }
+
+        /**
+         * Auxiliary function that inserts content in a position relative to each element in a collection. The nodes are
+         *      cloned (with their event handlers and data) for each target, except for the last one, that receives the
+         *      original nodes; the strings are inserted
+         *      as HTML using insertAdjacentHTML, so that the existing content (and its event handlers) is kept (the
+         *      document fragments, e.g. shadow roots, do not have insertAdjacentHTML, so the HTML is parsed using a template).
+         * @param {*} collection: the collection of target elements
+         * @param {*} contents: the list of contents to insert; each content may be an element, a collection, an array, a
+         *      string with HTML or a function(index, html) bound to each target, that returns the content to insert
+         * @param {string} position: the position (beforebegin, afterbegin, beforeend or afterend)
+         * @returns the list of nodes inserted (including the clones)
+         */
+        function _insertContents(collection, contents, position) {
+            let inserted = [];
+            collection.forEach((target, i) => {
+                let items = _flattenContents(contents.map((content) => typeof content === "function"? content.call(target, i, target.innerHTML) : content));
+                let isLast = i === collection.length - 1;
+                // Inserting at the beginning of the target or after it reverses the order, so the items are inserted backwards
+                if ((position === "afterbegin") || (position === "afterend")) {
+                    items.reverse();
+                }
+                items.forEach((item) => {
+                    if (typeof item === "string") {
+                        if (typeof target.insertAdjacentHTML !== "function") {
+                            let template = document.createElement("template");
+                            template.innerHTML = item;
+                            _insertNode(target, position, template.content);
+                        } else if ((target.parentNode !== null) || (position === "afterbegin") || (position === "beforeend")) {
+                            target.insertAdjacentHTML(position, item);
+                        }
+                    } else {
+                        let node = isLast? item : _cloneNode(item, true, true);
+                        _insertNode(target, position, node);
+                        inserted.push(node);
+                    }
+                });
+            });
+            return inserted;
+        }
+
+        /**
+         * Auxiliary function that copies the event handlers added using "on" and the data attached using "data" from
+         *      an element to another one
+         * @param {*} source: the element from which to copy
+         * @param {*} target: the element to which to copy
+         */
+        function _copyEventsAndData(source, target) {
+            for (let type in source.__eventHandlers ?? {}) {
+                source.__eventHandlers[type].forEach((handlerRecord) => {
+                    _addNativeListener(target, type, handlerRecord.options);
+                    let copy = Object.assign({}, handlerRecord, { namespaces: [ ...handlerRecord.namespaces ] });
+                    _getEventHandlers(target, type).push(copy);
+                    _specialEvents[type]?.add?.(target, copy, copy.options);
+                });
+            }
+            let store = _getDataStore(source);
+            if (store !== null) {
+                Object.assign(_getDataStore(target, true), store);
+            }
+        }
+
+        /**
+         * Auxiliary function that copies the current state of the form controls (i.e. value, checked and selected) from
+         *      an element and its descendants to a clone of it
+         * @param {*} source: the original element
+         * @param {*} target: the clone of the element
+         */
+        function _copyFormState(source, target) {
+            let selector = "input, textarea, option";
+            let sources = [ source, ...source.querySelectorAll(selector) ];
+            let targets = [ target, ...target.querySelectorAll(selector) ];
+            sources.forEach((element, i) => {
+                let clone = targets[i];
+                switch (element.tagName) {
+                    case "INPUT":
+                        if (element.type !== "file") {
+                            clone.value = element.value;
+                        }
+                        clone.checked = element.checked;
+                        break;
+                    case "TEXTAREA":
+                        clone.value = element.value;
+                        break;
+                    case "OPTION":
+                        clone.selected = element.selected;
+                        break;
+                }
+            });
+        }
+
+        /**
+         * Auxiliary function that makes a deep copy of a node, keeping the current state of the form controls
+         * @param {Node} node: the node to copy
+         * @param {boolean} withEvents: if true, the event handlers added using "on" and the data attached using "data" are
+         *      copied to the clone
+         * @param {boolean} deep: if true, the event handlers and the data of the descendants are also copied
+         * @returns the copy of the node
+         */
+        function _cloneNode(node, withEvents = false, deep = withEvents) {
+            let clone = node.cloneNode(true);
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                return clone;
+            }
+            _copyFormState(node, clone);
+            if (withEvents) {
+                _copyEventsAndData(node, clone);
+            }
+            if (deep) {
+                let descendants = node.querySelectorAll("*");
+                clone.querySelectorAll("*").forEach((descendant, i) => _copyEventsAndData(descendants[i], descendant));
+            }
+            return clone;
+        }
+
+        /**
+         * Function that makes a deep copy of the elements in the collection (the current values of the form controls are kept)
+         * @param {boolean} withEvents: if true, the event handlers added using "on" and the data attached using "data" are
+         *      also copied to the new elements
+         * @param {boolean} deep: if true, the event handlers and the data of the descendants of the elements are also copied
+         *      (by default, the same value than withEvents)
+         * @returns a new collection with the copies of the elements
+         */
+        fn.clone = function(withEvents = false, deep = withEvents) {
+            return _pushStack(this, Array.prototype.map.call(this, (element) => _cloneNode(element, withEvents, deep)));
+        }
+
+        /**
+         * Function that inserts content at the end of each element in the collection. The content may be
+         *    - an HTMLElement (or any other node)
+         *    - an array of HTMLElement or a collection
+         *    - a string with the HTML content to append
+         *    - a function(index, html), bound to each element, that returns the content to append
+         * 
+         * (*) the elements are cloned for each element in the collection, except for the last one, that receives the
+         *     original elements (so if the collection has only one element, the elements are moved).
+         * @param {...any} contents: the contents to append
+         * @returns the collection of objects
+         */
+        fn.append = function(...contents) {
+            _insertContents(this, contents, "beforeend");
+            return this;
+        }
+
+        /**
+         * Function that inserts content at the beginning of each element in the collection (see append)
+         * @param {...any} contents: the contents to prepend
+         * @returns the collection of objects
+         */
+        fn.prepend = function(...contents) {
+            _insertContents(this, contents, "afterbegin");
+            return this;
+        }
+
+        /**
+         * Function that inserts content after each element in the collection (see append)
+         * @param {...any} contents: the contents to insert
+         * @returns the collection of objects
+         */
+        fn.after = function(...contents) {
+            _insertContents(this, contents, "afterend");
+            return this;
+        }
+
+        /**
+         * Function that inserts content before each element in the collection (see append)
+         * @param {...any} contents: the contents to insert
+         * @returns the collection of objects
+         */
+        fn.before = function(...contents) {
+            _insertContents(this, contents, "beforebegin");
+            return this;
+        }
+
+        /**
+         * Auxiliary function that inserts the elements of a collection in a position relative to each target (i.e. the
+         *      implementation of appendTo, prependTo, insertBefore and insertAfter)
+         * @param {*} collection: the collection of elements to insert
+         * @param {*} target: the targets; a selector, an element, a collection, an array, an HTML string or a function
+         *      that returns any of them
+         * @param {string} position: the position (beforebegin, afterbegin, beforeend or afterend)
+         * @returns a new collection with the elements inserted (including the clones)
+         */
+        function _insertInto(collection, target, position) {
+            if (typeof target === "function") {
+                target = target.call(collection);
+            }
+            let inserted = _insertContents($(target), [ Array.from(collection) ], position);
+            return _pushStack(collection, inserted.filter((node) => node instanceof Element));
+        }
+
+        /**
+         * Function that inserts the elements in the collection at the end of each target (see append)
+         * @param {*} target: the targets (a selector, an element, a collection, an array, an HTML string or a function)
+         * @returns a new collection with the elements inserted (including the clones)
+         */
+        fn.appendTo = function(target) {
+            return _insertInto(this, target, "beforeend");
+        }
+
+        /**
+         * Function that inserts the elements in the collection at the beginning of each target (see append)
+         * @param {*} target: the targets (a selector, an element, a collection, an array, an HTML string or a function)
+         * @returns a new collection with the elements inserted (including the clones)
+         */
+        fn.prependTo = function(target) {
+            return _insertInto(this, target, "afterbegin");
+        }
+
+        /**
+         * Function that inserts the elements in the collection before each target (see append)
+         * @param {*} target: the targets (a selector, an element, a collection, an array, an HTML string or a function)
+         * @returns a new collection with the elements inserted (including the clones)
+         */
+        fn.insertBefore = function(target) {
+            return _insertInto(this, target, "beforebegin");
+        }
+
+        /**
+         * Function that inserts the elements in the collection after each target (see append)
+         * @param {*} target: the targets (a selector, an element, a collection, an array, an HTML string or a function)
+         * @returns a new collection with the elements inserted (including the clones)
+         */
+        fn.insertAfter = function(target) {
+            return _insertInto(this, target, "afterend");
+        }
+
+        /**
+         * Function that replaces each element in the collection with new content (see append); the elements replaced are
+         *      removed from the DOM, along with their data
+         * @param {*} content: the new content (an element, a collection, an array, an HTML string or a function(index, html))
+         * @returns the collection of objects (that have been removed)
+         */
+        fn.replaceWith = function(content) {
+            let elements = Array.prototype.filter.call(this, (element) => element.parentNode !== null);
+            _insertContents(_createCollection(elements, false), [ content ], "beforebegin");
+            return $(elements).remove();
+        }
+
+        /**
+         * Auxiliary function that obtains a new wrapper element for an element
+         * @param {*} wrapper: the wrapper; a selector, an HTML string, an element, a collection or a function(index) bound
+         *      to the element that returns any of them
+         * @param {*} element: the element to wrap
+         * @param {number} index: the index of the element in its collection
+         * @returns a deep clone of the first element of the wrapper, or null if there is no wrapper
+         */
+        function _getWrapper(wrapper, element, index) {
+            if (typeof wrapper === "function") {
+                wrapper = wrapper.call(element, index);
+            }
+            if (typeof wrapper === "string") {
+                wrapper = $(wrapper);
+            }
+            if (Array.isArray(wrapper)) {
+                wrapper = wrapper[0];
+            }
+            if (!(wrapper instanceof Element)) {
+                return null;
+            }
+            return wrapper.cloneNode(true);
+        }
+
+        /**
+         * Auxiliary function that obtains the innermost element of a wrapper (i.e. following the first child element)
+         * @param {*} wrapper: the wrapper element
+         * @returns the innermost element
+         */
+        function _getInnermost(wrapper) {
+            while (wrapper.firstElementChild !== null) {
+                wrapper = wrapper.firstElementChild;
+            }
+            return wrapper;
+        }
+
+        /**
+         * Function that wraps each element in the collection in a copy of the wrapper structure
+         *      (e.g. _$('img').wrap('<figure><div class="frame"></div></figure>'))
+         * @param {*} wrapper: the wrapper; a selector, an HTML string, an element, a collection or a function(index) bound
+         *      to each element that returns any of them
+         * @returns the collection of objects
+         */
+        fn.wrap = function(wrapper) {
+            this.forEach((element, i) => {
+                let wrapperElement = _getWrapper(wrapper, element, i);
+                if (wrapperElement === null) {
+                    return;
+                }
+                _insertNode(element, "beforebegin", wrapperElement);
+                _getInnermost(wrapperElement).appendChild(element);
+            });
+            return this;
+        }
+
+        /**
+         * Function that wraps all the elements in the collection in a single copy of the wrapper structure, that is
+         *      inserted in the place of the first element
+         * @param {*} wrapper: the wrapper; a selector, an HTML string, an element, a collection or a function bound
+         *      to the first element that returns any of them
+         * @returns the collection of objects
+         */
+        fn.wrapAll = function(wrapper) {
+            if (this.length === 0) {
+                return this;
+            }
+            let wrapperElement = _getWrapper(wrapper, this[0], 0);
+            if (wrapperElement === null) {
+                return this;
+            }
+            _insertNode(this[0], "beforebegin", wrapperElement);
+            let innermost = _getInnermost(wrapperElement);
+            this.forEach((element) => innermost.appendChild(element));
+            return this;
+        }
+
+        /**
+         * Function that wraps the content of each element in the collection in a copy of the wrapper structure
+         * @param {*} wrapper: the wrapper; a selector, an HTML string, an element, a collection or a function(index) bound
+         *      to each element that returns any of them
+         * @returns the collection of objects
+         */
+        fn.wrapInner = function(wrapper) {
+            this.forEach((element, i) => {
+                let wrapperElement = _getWrapper(wrapper, element, i);
+                if (wrapperElement === null) {
+                    return;
+                }
+                _getInnermost(wrapperElement).append(...element.childNodes);
+                element.appendChild(wrapperElement);
+            });
+            return this;
+        }
+
+        /**
+         * Function that removes the parents of the elements in the collection, leaving the elements (and their siblings)
+         *      in their place
+         * @param {*} selector: if set, only the parents that match the selector are removed
+         * @returns the collection of objects
+         */
+        fn.unwrap = function(selector) {
+            this.parent(selector).not("body").forEach((parent) => {
+                parent.replaceWith(...parent.childNodes);
+                _cleanData(parent);
+            });
+            return this;
+        }
+
+        /**
+         * Function that searches for elements in the collection that match a selector and returns
+         *    a new collection with the elements found.
+         * @param {*} selector: the selector to search for
+         * @param {*} options: an object with the options for the search
+         *      - deep: if true, the search also enters in the open shadow roots (e.g. _$().find(".btn", { deep: true })
+         *          finds all the .btn in the document, including those inside web components)
+         * @returns a new collection with the elements found
+         */
+        fn.find = function(selector, options = {}) {
+            let result = [];
+            this.forEach((x) => result.push(..._querySelectorAll(x, selector, options.deep === true)));
+            return _pushStack(this, result);
+        }
+
+        /**
+         * Function that retrieves the element at a specific index in the collection
+         * @param {*} index: the index of the element to retrieve
+         * @returns the element at the index in the collection or null if the index is out of bounds
+         *        or the collection is empty or the collection of objects if the index is not set
+         */
+        fn.get = function(index) {
+            if (index === undefined) {
+                return this;
+            }
+            if ((this.length === 0) || (index < 0) || (index >= this.length)) {
+                return null;
+            }
+            return this[index];
+        }
+
+        /**
+         * Function that calls a function for each element in the collection. The function will receive
+         *   two parameters: callback(index, element) where <index> is the index of the element in the 
+         *   collection and <element> is the element itself. The function is bound to the collection, so
+         *   that this[index] will be the element.
+         * @param {*} callback: the function to call for each element in the collection
+         * @returns the collection of objects
+         */
+        fn.each = function(callback) {
+            callback = callback.bind(this);
+            for (let i = 0; i < this.length; i++) {
+                callback(i, this[i]);
+            }
+            return this;
+        }
+
+        /**
+         * Function that calls a function for each element in the collection and returns an array with the
+         *   results of the calls to the function. The function will receive two parameters: callback(index, element)
+         *   where <index> is the index of the element in the collection and <element> is the element itself. The function
+         *   is bound to the collection, so that this[index] will be the element.
+         * @param {*} callback: the function to call for each element in the collection
+         * @returns an array with the results of the calls to the function
+         */
+        fn.map = function(callback) {
+            let result = [];
+            callback = callback.bind(this);
+            for (let i = 0; i < this.length; i++) {
+                result.push(callback(i, this[i]));
+            }
+            return result;
+        }
+
+        /**
+         * Function that keeps the elements in the collection that match a selector (see _matches), which may be a css
+         *  selector, an element, an array of elements (or a collection) or a function callback(index, element) bound to
+         *  the element, that should return true if the element passes the filter, false otherwise.
+         * @param {*} selector: the selector to match
+         * @returns a new collection with the elements that pass the filter
+         */
+        fn.filter = function(selector) {
+            return _pushStack(this, _filterElements(this, selector));
+        }
+
+        /**
+         * Auxiliary function that obtains the chain of hosts of a node: the node itself, the host of the shadow root that
+         *      contains it, the host of the shadow root that contains that host, and so on
+         * @param {*} node: the node
+         * @returns the list of nodes, from the node to the outermost host
+         */
+        function _getHostChain(node) {
+            let chain = [ node ];
+            for (let root = node.getRootNode(); (root.nodeType === Node.DOCUMENT_FRAGMENT_NODE) && (root.host instanceof Element); root = root.host.getRootNode()) {
+                chain.push(root.host);
+            }
+            return chain;
+        }
+
+        /**
+         * Auxiliary function that compares the position of two nodes in the composed tree (i.e. in shadow-including tree
+         *      order, where the content of a shadow root goes after its host and before the children of the host), so
+         *      that the nodes inside different shadow roots are compared through the hosts that are in the same tree
+         * @param {*} a: the first node
+         * @param {*} b: the second node
+         * @returns a negative number if a goes first, a positive number if b goes first, or 0 if they are the same node
+         *      or they are not in the same composed tree
+         */
+        function _compareComposedOrder(a, b) {
+            if (a === b) {
+                return 0;
+            }
+            let chainA = _getHostChain(a);
+            let chainB = _getHostChain(b);
+            for (let i = 0; i < chainA.length; i++) {
+                let root = chainA[i].getRootNode();
+                let j = chainB.findIndex((node) => node.getRootNode() === root);
+                if (j < 0) {
+                    continue;
+                }
+                if (chainA[i] === chainB[j]) {
+                    // One of the nodes is the host of the shadow root that contains the other one
+                    return i === 0? -1 : 1;
+                }
+                let position = chainA[i].compareDocumentPosition(chainB[j]);
+                if (position & Node.DOCUMENT_POSITION_FOLLOWING) {
+                    return -1;
+                }
+                if (position & Node.DOCUMENT_POSITION_PRECEDING) {
+                    return 1;
+                }
+                return 0;
+            }
+            // The nodes are not in the same composed tree (e.g. elements just created), so we keep their order
+            return 0;
+        }
+
+        /**
+         * Auxiliary function that removes the duplicate elements in a list and sorts them in document order (the elements
+         *      inside shadow roots are sorted in the composed tree, and the elements that are not in the same tree keep
+         *      their relative order)
+         * @param {*} elements: the list of elements
+         * @returns a new array with the unique elements in document order
+         */
+        function _uniqueSort(elements) {
+            return Array.from(new Set(elements)).sort(_compareComposedOrder);
+        }
+
+        /**
+         * Auxiliary function that creates a new collection from a list of elements obtained from another collection
+         *      (e.g. by traversing the DOM). The elements are unique and in document order, and the new collection
+         *      keeps a reference to the original one, so that it is possible to get back to it using "end".
+         * @param {*} collection: the collection from which the elements were obtained
+         * @param {*} elements: the list of elements for the new collection
+         * @returns a new collection with the elements
+         */
+        function _pushStack(collection, elements) {
+            let result = _createCollection(elements);
+            result.prevObject = collection;
+            return result;
+        }
+
+        /**
+         * Auxiliary function that checks if an element matches a selector, which may be
+         *      - a string (i.e. a css selector)
+         *      - a function(index, element) bound to the element, that returns true if the element matches
+         *      - an HTML element, that matches only itself
+         *      - an array of elements (or a collection), that match if they contain the element
+         * @param {*} element: the element to check
+         * @param {*} selector: the selector to check against; if not set, any element matches
+         * @param {number} index: the index of the element in its collection (for the function case)
+         * @returns true if the element matches the selector, false otherwise
+         */
+        function _matches(element, selector, index = 0) {
+            if ((selector === undefined) || (selector === null)) {
+                return true;
+            }
+            if (typeof selector === "string") {
+                return (element.nodeType === Node.ELEMENT_NODE) && element.matches(selector);
+            }
+            if (typeof selector === "function") {
+                return !!selector.call(element, index, element);
+            }
+            if (Array.isArray(selector)) {
+                return selector.includes(element);
+            }
+            return element === selector;
+        }
+
+        /**
+         * Auxiliary function that walks from each element in a collection following a property (e.g. "parentElement" or
+         *      "nextElementSibling") and collects the elements found in the way.
+         * @param {*} collection: the collection whose elements are the starting points
+         * @param {string} property: the property to follow
+         * @param {*} until: the walk stops when an element matches this selector (the element is not included)
+         * @param {boolean} onlyFirst: if true, only the first element of each walk is considered
+         * @returns the list of elements found
+         */
+        function _walk(collection, property, until = null, onlyFirst = false) {
+            let result = [];
+            collection.forEach((element, _) => {
+                for (let current = element[property]; (current !== null) && (current !== undefined); current = current[property]) {
+                    if ((until !== null) && (until !== undefined) && _matches(current, until)) {
+                        break;
+                    }
+                    result.push(current);
+                    if (onlyFirst) {
+                        break;
+                    }
+                }
+            });
+            return result;
+        }
+
+        /**
+         * Auxiliary function that filters a list of elements using a selector (see _matches)
+         * @param {*} elements: the list of elements
+         * @param {*} selector: the selector; if not set, all the elements are kept
+         * @returns the list of elements that match the selector
+         */
+        function _filterElements(elements, selector) {
+            return Array.prototype.filter.call(elements, (element, i) => _matches(element, selector, i));
+        }
+
+        /**
+         * Function that retrieves the parent of each element in the collection, optionally filtered by a selector
+         * @param {*} selector: the selector that the parents must match (optional)
+         * @returns a new collection with the parents
+         */
+        fn.parent = function(selector) {
+            return _pushStack(this, _filterElements(_walk(this, "parentElement", null, true), selector));
+        }
+
+        /**
+         * Function that retrieves the ancestors of each element in the collection, optionally filtered by a selector
+         * @param {*} selector: the selector that the ancestors must match (optional)
+         * @returns a new collection with the ancestors
+         */
+        fn.parents = function(selector) {
+            return _pushStack(this, _filterElements(_walk(this, "parentElement"), selector));
+        }
+
+        /**
+         * Function that retrieves the ancestors of each element in the collection, up to (but not including) the
+         *      first ancestor that matches the selector "until"
+         * @param {*} until: the selector that stops the search
+         * @param {*} selector: the selector that the ancestors must match (optional)
+         * @returns a new collection with the ancestors
+         */
+        fn.parentsUntil = function(until, selector) {
+            return _pushStack(this, _filterElements(_walk(this, "parentElement", until), selector));
+        }
+
+        /**
+         * Function that retrieves, for each element in the collection, the first element that matches the selector
+         *      by testing the element itself and then its ancestors
+         * @param {*} selector: the selector to match
+         * @returns a new collection with the elements found
+         */
+        fn.closest = function(selector) {
+            let result = [];
+            this.forEach((element, _) => {
+                for (let current = element; current !== null; current = current.parentElement) {
+                    if (_matches(current, selector)) {
+                        result.push(current);
+                        break;
+                    }
+                }
+            });
+            return _pushStack(this, result);
+        }
+
+        /**
+         * Function that retrieves the children of each element in the collection, optionally filtered by a selector
+         * @param {*} selector: the selector that the children must match (optional)
+         * @returns a new collection with the children
+         */
+        fn.children = function(selector) {
+            let result = [];
+            this.forEach((element, _) => result.push(...(element.children ?? [])));
+            return _pushStack(this, _filterElements(result, selector));
+        }
+
+        /**
+         * Function that retrieves the siblings of each element in the collection (the element itself is not included),
+         *      optionally filtered by a selector
+         * @param {*} selector: the selector that the siblings must match (optional)
+         * @returns a new collection with the siblings
+         */
+        fn.siblings = function(selector) {
+            let result = [];
+            this.forEach((element, _) => {
+                if (element.parentNode !== null) {
+                    result.push(...Array.prototype.filter.call(element.parentNode.children, (sibling) => sibling !== element));
+                }
+            });
+            return _pushStack(this, _filterElements(result, selector));
+        }
+
+        /**
+         * Function that retrieves the immediately following sibling of each element in the collection, if it matches
+         *      the selector
+         * @param {*} selector: the selector that the siblings must match (optional)
+         * @returns a new collection with the siblings
+         */
+        fn.next = function(selector) {
+            return _pushStack(this, _filterElements(_walk(this, "nextElementSibling", null, true), selector));
+        }
+
+        /**
+         * Function that retrieves all the following siblings of each element in the collection, optionally filtered
+         *      by a selector
+         * @param {*} selector: the selector that the siblings must match (optional)
+         * @returns a new collection with the siblings
+         */
+        fn.nextAll = function(selector) {
+            return _pushStack(this, _filterElements(_walk(this, "nextElementSibling"), selector));
+        }
+
+        /**
+         * Function that retrieves the following siblings of each element in the collection, up to (but not including)
+         *      the first sibling that matches the selector "until"
+         * @param {*} until: the selector that stops the search
+         * @param {*} selector: the selector that the siblings must match (optional)
+         * @returns a new collection with the siblings
+         */
+        fn.nextUntil = function(until, selector) {
+            return _pushStack(this, _filterElements(_walk(this, "nextElementSibling", until), selector));
+        }
+
+        /**
+         * Function that retrieves the immediately preceding sibling of each element in the collection, if it matches
+         *      the selector
+         * @param {*} selector: the selector that the siblings must match (optional)
+         * @returns a new collection with the siblings
+         */
+        fn.prev = function(selector) {
+            return _pushStack(this, _filterElements(_walk(this, "previousElementSibling", null, true), selector));
+        }
+
+        /**
+         * Function that retrieves all the preceding siblings of each element in the collection, optionally filtered
+         *      by a selector
+         * @param {*} selector: the selector that the siblings must match (optional)
+         * @returns a new collection with the siblings
+         */
+        fn.prevAll = function(selector) {
+            return _pushStack(this, _filterElements(_walk(this, "previousElementSibling"), selector));
+        }
+
+        /**
+         * Function that retrieves the preceding siblings of each element in the collection, up to (but not including)
+         *      the first sibling that matches the selector "until"
+         * @param {*} until: the selector that stops the search
+         * @param {*} selector: the selector that the siblings must match (optional)
+         * @returns a new collection with the siblings
+         */
+        fn.prevUntil = function(until, selector) {
+            return _pushStack(this, _filterElements(_walk(this, "previousElementSibling", until), selector));
+        }
+
+        /**
+         * Function that retrieves a new collection with the element at a specific index in the collection
+         * @param {number} index: the index of the element; negative values count from the end of the collection
+         * @returns a new collection with the element, or an empty collection if the index is out of bounds
+         */
+        fn.eq = function(index) {
+            if (index < 0) {
+                index = this.length + index;
+            }
+            return _pushStack(this, ((index >= 0) && (index < this.length))? [ this[index] ] : []);
+        }
+
+        /**
+         * Function that retrieves a new collection with the first element in the collection
+         * @returns a new collection with the first element, or an empty collection if the collection is empty
+         */
+        fn.first = function() {
+            return this.eq(0);
+        }
+
+        /**
+         * Function that retrieves a new collection with the last element in the collection
+         * @returns a new collection with the last element, or an empty collection if the collection is empty
+         */
+        fn.last = function() {
+            return this.eq(-1);
+        }
+
+        /**
+         * Function that checks if any element in the collection matches a selector (see _matches)
+         * @param {*} selector: the selector to match
+         * @returns true if at least one element matches the selector, false otherwise
+         */
+        fn.is = function(selector) {
+            return _filterElements(this, selector).length > 0;
+        }
+
+        /**
+         * Function that removes from the collection the elements that match a selector (see _matches)
+         * @param {*} selector: the selector to match
+         * @returns a new collection with the elements that do not match the selector
+         */
+        fn.not = function(selector) {
+            return _pushStack(this, Array.prototype.filter.call(this, (element, i) => !_matches(element, selector, i)));
+        }
+
+        /**
+         * Function that keeps the elements in the collection that have a descendant that matches a selector, or that
+         *      contain a specific element
+         * @param {*} selector: a css selector, an HTML element, an array of elements (or a collection), that match if any
+         *      of them is a descendant, or a function(index, element) bound to each descendant (see _matches)
+         * @returns a new collection with the elements that have a matching descendant
+         */
+        fn.has = function(selector) {
+            return _pushStack(this, Array.prototype.filter.call(this, (element) => {
+                if (typeof selector === "string") {
+                    return element.querySelector(selector) !== null;
+                }
+                if (typeof selector === "function") {
+                    return Array.from(element.querySelectorAll("*")).some((descendant, i) => _matches(descendant, selector, i));
+                }
+                if (Array.isArray(selector)) {
+                    return selector.some((x) => (x !== element) && element.contains(x));
+                }
+                return (element !== selector) && element.contains(selector);
+            }));
+        }
+
+        /**
+         * Function that adds elements to the collection; the parameters are the same than for function $(...elements)
+         * @param  {...any} elements: the elements to add
+         * @returns a new collection with the elements of the collection and the added ones
+         */
+        fn.add = function(...elements) {
+            return _pushStack(this, [ ...this, ...$(...elements) ]);
+        }
+
+        /**
+         * Function that retrieves the position of an element. It can be used as
+         *      - index(): retrieves the position of the first element in the collection, with respect to its siblings
+         *      - index(selector): retrieves the position of the first element in the collection, within the elements
+         *          that match the selector in the document
+         *      - index(element): retrieves the position of the element (or the first element of a collection) in the collection
+         * @param {*} element: the selector or the element to search for
+         * @returns the position of the element or -1 if it is not found
+         */
+        fn.index = function(element) {
+            if (element === undefined) {
+                if ((this.length === 0) || (this[0].parentNode === null)) {
+                    return -1;
+                }
+                return Array.prototype.indexOf.call(this[0].parentNode.children, this[0]);
+            }
+            if (typeof element === "string") {
+                if (this.length === 0) {
+                    return -1;
+                }
+                return Array.prototype.indexOf.call($(element), this[0]);
+            }
+            if (Array.isArray(element)) {
+                element = element[0];
+            }
+            return Array.prototype.indexOf.call(this, element);
+        }
+
+        /**
+         * Function that ends the most recent traversal operation and gets back to the previous collection
+         *      (e.g. $('ul').children('li').addClass('item').end().addClass('list'))
+         * @returns the collection from which this collection was obtained, or an empty collection
+         */
+        fn.end = function() {
+            return this.prevObject ?? $([]);
+        }
+
+        /**
+         * Function that retrieves the text of the first element in the collection, or sets the text of all the elements
+         * @param {*} text: the text to set for the elements
+         * @returns the text of the first element in the collection or the collection of objects
+         */
+        fn.text = function(text) {
+            if (text === undefined) {
+                if (this.length === 0) {
+                    return "";
+                }
+                return this[0].innerText;
+            }
+            this.forEach((x) => x.innerText = text);
+            return this;
+        }
+
+        /**
+         * Function that retrieves the HTML content of the first element in the collection, or sets the HTML content of all the elements
+         *      (the data and the event handlers of the elements replaced are removed)
+         * @param {*} html: the HTML content to set for the elements
+         * @returns the HTML content of the first element in the collection or the collection of objects
+         */
+        fn.html = function(html) {
+            if (html === undefined) {
+                if (this.length === 0) {
+                    return "";
+                }
+                return this[0].innerHTML;
+            }
+            this.forEach((x) => {
+                _cleanData(x, true);
+                x.innerHTML = html;
+            });
+            return this;
+        }
+
+        /**
+         * The default settings for the requests made using _$.ajax (they can be changed using _$.ajaxSetup)
+         */
+        const _ajaxSettings = {
+            method: "GET",
+            headers: {},
+            contentType: "form",
+            dataType: "auto",
+            timeout: 0,
+            beforeSend: null,
+            error: null,
+            fetch: null
+        };
+
+        /**
+         * Function that changes the default settings for the requests made using _$.ajax (e.g. to set default headers,
+         *      a default timeout or the hooks that are run before sending each request and on errors). The headers are
+         *      merged with the existing ones.
+         * @param {*} settings: the settings to change (see _$.ajax)
+         * @returns a copy of the resulting default settings
+         */
+        $.ajaxSetup = function(settings = {}) {
+            let headers = Object.assign({}, _ajaxSettings.headers, settings.headers);
+            Object.assign(_ajaxSettings, settings, { headers });
+            return Object.assign({}, _ajaxSettings);
+        }
+
+        /**
+         * Function that encodes an object as a query string, in the same way than jQuery.param; nested objects and arrays
+         *      are encoded using brackets (e.g. { a: [ 1, 2 ], b: { c: 3 } } => "a[]=1&a[]=2&b[c]=3"). It also accepts a list
+         *      of { name, value } objects (e.g. the result of serializeArray).
+         * @param {*} data: the object to encode
+         * @returns the query string
+         */
+        $.param = function(data) {
+            let params = new URLSearchParams();
+            let add = (name, value) => {
+                if (Array.isArray(value)) {
+                    value.forEach((item, i) => add(`${name}[${((typeof item === "object") && (item !== null))? i : ""}]`, item));
+                } else if ((typeof value === "object") && (value !== null)) {
+                    for (let key in value) {
+                        add(`${name}[${key}]`, value[key]);
+                    }
+                } else {
+                    params.append(name, value ?? "");
+                }
+            };
+            if (Array.isArray(data)) {
+                data.forEach(({ name, value }) => add(name, value));
+            } else {
+                for (let name in data) {
+                    add(name, data[name]);
+                }
+            }
+            return params.toString();
+        }
+
+        /**
+         * Auxiliary function that checks if a header is set in a dictionary of headers (the names of the headers are case-insensitive)
+         * @param {*} headers: the dictionary of headers
+         * @param {string} name: the name of the header
+         * @returns true if the header is set, false otherwise
+         */
+        function _hasHeader(headers, name) {
+            return Object.keys(headers).some((header) => header.toLowerCase() === name.toLowerCase());
+        }
+
+        /**
+         * Auxiliary function that encodes the data of a request: for GET and HEAD requests the data is appended to the url
+         *      as a query string; otherwise it is set as the body of the request, encoded according to the content type
+         *      ("form", "json" or a mime type). Strings, FormData, URLSearchParams, Blobs and buffers are sent as they are.
+         * @param {*} settings: the settings of the request
+         * @param {*} init: the options for fetch, whose body and headers are set
+         * @returns the url of the request
+         */
+        function _encodeRequestData(settings, init) {
+            let url = settings.url;
+            let data = settings.data;
+            if ((data === undefined) || (data === null)) {
+                return url;
+            }
+            if ([ "GET", "HEAD" ].includes(init.method)) {
+                let query = typeof data === "string"? data : $.param(data);
+                if (query !== "") {
+                    url = url + (url.includes("?")? "&" : "?") + query;
+                }
+                return url;
+            }
+            let contentType = settings.contentType;
+            let mimeType = { json: "application/json", form: "application/x-www-form-urlencoded; charset=UTF-8" }[contentType] ?? contentType;
+            if ((data instanceof FormData) || (data instanceof URLSearchParams) || (data instanceof Blob) || (data instanceof ArrayBuffer) || ArrayBuffer.isView(data)) {
+                init.body = data;
+                return url;
+            }
+            if (typeof data === "string") {
+                init.body = data;
+            } else if (mimeType.includes("json")) {
+                init.body = JSON.stringify(data);
+            } else {
+                init.body = $.param(data);
+            }
+            if (!_hasHeader(init.headers, "Content-Type")) {
+                init.headers["Content-Type"] = mimeType;
+            }
+            return url;
+        }
+
+        /**
+         * Auxiliary function that creates the error with which the promise of a request is rejected
+         * @param {string} type: the type of error ("abort", "timeout", "network", "http" or "parse")
+         * @param {string} message: the message of the error
+         * @param {*} response: the response of the request (if any)
+         * @param {*} data: the content of the response (if any)
+         * @returns an Error object, with the properties type, status, statusText, response and data
+         */
+        function _createAjaxError(type, message, response = null, data = null) {
+            let error = new Error(message);
+            error.name = "AjaxError";
+            error.type = type;
+            error.status = response === null? 0 : response.status;
+            error.statusText = response === null? "" : response.statusText;
+            error.response = response;
+            error.data = data;
+            return error;
+        }
+
+        /**
+         * Auxiliary function that obtains the content of a response according to the data type
+         * @param {Response} response: the response
+         * @param {string} dataType: the type of data ("json", "text", "html", "blob", "arraybuffer", "response" or "auto"; in the
+         *      latter case, the content is parsed as json if the Content-Type of the response is json, or as text otherwise)
+         * @returns a promise that is resolved with the content of the response
+         */
+        async function _parseResponse(response, dataType) {
+            if (dataType === "auto") {
+                dataType = (response.headers.get("Content-Type") ?? "").includes("json")? "json" : "text";
+            }
+            switch (dataType) {
+                case "json":
+                    let text = await response.text();
+                    return text === ""? null : JSON.parse(text);
+                case "blob":
+                    return response.blob();
+                case "arraybuffer":
+                    return response.arrayBuffer();
+                case "response":
+                    return response;
+                default:
+                    return response.text();
+            }
+        }
+
+        /**
+         * Function that makes an HTTP request using fetch. It can be used as _$.ajax(url, settings) or _$.ajax(settings), and
+         *      the settings are merged with the default ones (see _$.ajaxSetup):
+         *          - url: the url of the request
+         *          - method: the HTTP method (default: GET)
+         *          - headers: a dictionary of headers, that are merged with the default ones
+         *          - data: the data to send; for GET and HEAD requests it is appended to the url as a query string
+         *          - contentType: how to encode the data, "form" (default), "json" or a mime type
+         *          - dataType: how to parse the response, "auto" (default), "json", "text", "html", "blob", "arraybuffer" or
+         *              "response" (to obtain the Response object)
+         *          - timeout: the time in milliseconds after which the request is aborted (0 means no timeout)
+         *          - signal: an AbortSignal that aborts the request
+         *          - beforeSend: function(init, settings) that is called before sending the request, with the options for fetch
+         *              (that can be modified); if it returns false, the request is cancelled
+         *          - error: function(error, settings) that is called when the request fails
+         *          - fetch: the fetch function to use (default: window.fetch)
+         *          - credentials, mode, cache, redirect, referrerPolicy: passed to fetch
+         * 
+         * (*) the hooks set in the default settings are called before the ones in the settings of the request.
+         * (*) when the request fails, the promise is rejected with an Error whose name is "AjaxError" and that has the properties
+         *     type ("abort", "timeout", "network", "http" or "parse"), status, statusText, response and data.
+         * @param {*} url: the url of the request (or the settings)
+         * @param {*} settings: the settings of the request
+         * @returns a promise that is resolved with the content of the response; the promise has a method abort() to abort the request
+         */
+        $.ajax = function(url, settings = {}) {
+            if ((typeof url === "object") && (url !== null)) {
+                settings = url;
+                url = settings.url;
+            }
+            let hooks = (name) => [ _ajaxSettings[name], settings[name] ].filter((hook, i, hooks) => (typeof hook === "function") && (hooks.indexOf(hook) === i));
+            settings = Object.assign({}, _ajaxSettings, settings, { url: url, headers: Object.assign({}, _ajaxSettings.headers, settings.headers) });
+
+            let controller = new AbortController();
+            let abortType = null;
+            let abort = (type) => {
+                if (abortType === null) {
+                    abortType = type;
+                    controller.abort();
+                }
+            };
+            let promise = (async () => {
+                let timer = null;
+                try {
+                    // The request is built inside the promise, so that the errors (e.g. invalid data) reject it
+                    if (settings.signal) {
+                        if (settings.signal.aborted) {
+                            abort("abort");
+                        } else {
+                            settings.signal.addEventListener("abort", () => abort("abort"));
+                        }
+                    }
+                    let init = { method: String(settings.method || "GET").toUpperCase(), headers: settings.headers, signal: controller.signal };
+                    [ "credentials", "mode", "cache", "redirect", "referrerPolicy" ].forEach((option) => {
+                        if (settings[option] !== undefined) {
+                            init[option] = settings[option];
+                        }
+                    });
+                    let requestUrl = _encodeRequestData(settings, init);
+                    if (hooks("beforeSend").some((hook) => hook(init, settings) === false)) {
+                        abort("abort");
+                    }
+                    if (abortType !== null) {
+                        throw _createAjaxError(abortType, "the request was aborted");
+                    }
+                    if (settings.timeout > 0) {
+                        timer = setTimeout(() => abort("timeout"), settings.timeout);
+                    }
+                    let response;
+                    try {
+                        response = await (settings.fetch ?? ((...args) => window.fetch(...args)))(requestUrl, init);
+                    } catch (e) {
+                        if (abortType !== null) {
+                            throw _createAjaxError(abortType, abortType === "timeout"? "the request timed out" : "the request was aborted");
+                        }
+                        throw _createAjaxError("network", e.message);
+                    }
+                    if (!response.ok) {
+                        let data = null;
+                        try { data = await response.text(); } catch (_) { }
+                        throw _createAjaxError("http", `${response.status} ${response.statusText}`.trim(), response, data);
+                    }
+                    try {
+                        return await _parseResponse(response, settings.dataType);
+                    } catch (e) {
+                        if (abortType !== null) {
+                            throw _createAjaxError(abortType, abortType === "timeout"? "the request timed out" : "the request was aborted", response);
+                        }
+                        throw _createAjaxError("parse", e.message, response);
+                    }
+                } catch (error) {
+                    hooks("error").forEach((hook) => hook(error, settings));
+                    throw error;
+                } finally {
+                    if (timer !== null) {
+                        clearTimeout(timer);
+                    }
+                }
+            })();
+            promise.abort = () => abort("abort");
+            return promise;
+        }
+
+        /**
+         * Auxiliary function that makes a request using a method, for the shortcuts _$.get, _$.post, etc.
+         * @param {string} method: the HTTP method
+         * @param {string} url: the url of the request
+         * @param {*} data: the data to send
+         * @param {string} dataType: how to parse the response (see _$.ajax)
+         * @returns the promise returned by _$.ajax
+         */
+        function _ajaxShortcut(method, url, data, dataType) {
+            let settings = { url, method, data };
+            if (dataType !== undefined) {
+                settings.dataType = dataType;
+            }
+            return $.ajax(settings);
+        }
+
+        /**
+         * Function that makes a GET request (see _$.ajax)
+         * @param {string} url: the url of the request
+         * @param {*} data: the data to send in the query string
+         * @param {string} dataType: how to parse the response
+         * @returns a promise that is resolved with the content of the response
+         */
+        $.get = function(url, data, dataType) {
+            return _ajaxShortcut("GET", url, data, dataType);
+        }
+
+        /**
+         * Function that makes a POST request (see _$.ajax)
+         * @param {string} url: the url of the request
+         * @param {*} data: the data to send
+         * @param {string} dataType: how to parse the response
+         * @returns a promise that is resolved with the content of the response
+         */
+        $.post = function(url, data, dataType) {
+            return _ajaxShortcut("POST", url, data, dataType);
+        }
+
+        /**
+         * Function that makes a GET request and parses the response as json (see _$.ajax)
+         * @param {string} url: the url of the request
+         * @param {*} data: the data to send in the query string
+         * @returns a promise that is resolved with the parsed content of the response
+         */
+        $.getJSON = function(url, data) {
+            return _ajaxShortcut("GET", url, data, "json");
+        }
+
+        /**
+         * Function that loads html content from a url and sets it as the content of each element in the collection.
+         *      The url may include a selector separated by a space (e.g. "page.html #content"), as in jQuery. The content
+         *      is parsed using _$.parseHTML, and the data and the event handlers of the elements replaced are removed.
+         * @param {string} url: the url from which to load the content
+         * @param {string} selector: if set, only the elements that match the selector in the content are inserted (it may
+         *      be omitted, i.e. load(url, data))
+         * @param {*} data: the data to send; if it is an object, the request is made using POST
+         * @param {*} options: the options for _$.parseHTML (i.e. { sanitize, keepScripts }); the content is only sanitized if
+         *      sanitize is true (e.g. if it is not trusted) (*)
+         * @returns a promise that is resolved with the collection when the content has been inserted
+         * 
+         * (*) the scripts in the content are never run, even if keepScripts is true (as when using innerHTML)
+         */
+        fn.load = function(url, selector, data, { sanitize = false, keepScripts = false } = {}) {
+            if ((typeof selector === "object") && (selector !== null)) {
+                // It is used as load(url, data), as in jQuery
+                data = selector;
+                selector = undefined;
+            }
+            if (selector === undefined) {
+                let parts = url.trim().match(/^(\S+)\s+(.+)$/);
+                if (parts !== null) {
+                    url = parts[1];
+                    selector = parts[2];
+                }
+            }
+            let method = ((typeof data === "object") && (data !== null))? "POST" : "GET";
+            return $.ajax({ url, method, data, dataType: "text" }).then((html) => {
+                let nodes = $.parseHTML(html, { sanitize, keepScripts });
+                if (selector) {
+                    let content = document.createDocumentFragment();
+                    content.append(...nodes);
+                    nodes = Array.from(content.querySelectorAll(selector), (element) => element.cloneNode(true));
+                }
+                this.forEach((element, i) => {
+                    _cleanData(element, true);
+                    element.replaceChildren(...(i === this.length - 1? nodes : nodes.map((node) => node.cloneNode(true))));
+                });
+                return this;
+            });
+        }
+
+        /**
+         * The $ function scoped to the objects that are part of a previous $ object; this is the same
+         *      function $(...elements), except for the fact that the search for elements using selectors
+         *      will be done using the existing elements as scope.
+         * @param  {...any} elements (see function $(...elements))
+         */
+        fn._$ = function(...elements) {
+            return $.bind(this)(...elements);
+        }
+
+        /**
+         * Function that obtains the value of an attribute from an element
+         * @param {*} element, the element from which to obtain the value of the attribute
+         * @param {*} attributeName, the name of the attribute to obtain. It accepts the construction <attributeName[:attributeType][=default]>
+         *              and the value will be converted to that type (see _$.types); the default is string. If the attribute does not
+         *              exist (or it cannot be converted), the default value is returned (or null, if there is no default value).
+         * @param {*} convertCamelcaseToSnakecase, if true, the name of the attribute will be converted from "camelCase" to "snake-case"
+         * @returns the value of the attribute
+         */
+        function getAttribute(element, attributeName, convertCamelcaseToSnakecase = false) {
+            if (element === null) {
+                return null;
+            }
+            // Accept the construction <attributeName>:<type>=<default>
+            let { name, type, defaultValue } = _parseTypedName(attributeName);
+
+            // Get the name of the attribute and convert to snake case (if needed)
+            let attributeNameToGet = convertCamelcaseToSnakecase? camelcaseToSnakecase(name) : name;
+
+            // Grab the value, and convert the type (if needed)
+            return convertValue(element.getAttribute(attributeNameToGet), type ?? "string", defaultValue);
+        }
+
+        /**
+         * The converters for the types that can be used in the names of the attributes and the data (see _$.types.register)
+         */
+        const _converters = {};
+
+        /**
+         * Auxiliary function that splits a name written as <name[:type[(argument)]][=default]> (e.g. "count:int=5", "size:enum(s|m|l)" or
+         *      "tags:list(int)") into its parts; if the type is not registered, the colon is considered part of the name (e.g.
+         *      "xlink:href")
+         * @param {string} typedName: the name
+         * @returns an object { name, type, defaultValue } where type is the type with its argument (or null, if not set) and
+         *              defaultValue is the string with the default value (or undefined, if not set)
+         */
+        function _parseTypedName(typedName) {
+            let match = typedName.match(/^(.*?)(?::([a-z_][\w-]*(?:\([^)]*\))?))?(?:=([\w\W]*))?$/i);
+            if ((match[2] !== undefined) && (_getConverter(match[2]).converter === null)) {
+                // The types that are not registered are ignored (i.e. the value is returned as a string), as they always were
+                return { name: match[1], type: null, defaultValue: match[3] };
+            }
+            return { name: match[1], type: match[2] ?? null, defaultValue: match[3] };
+        }
+
+        /**
+         * Auxiliary function that obtains the converter for a type written as <type[(argument)]> (e.g. "list(int)")
+         * @param {string} type: the type
+         * @returns an object { converter, argument } where converter is null if the type is not registered
+         */
+        function _getConverter(type) {
+            let match = type.match(/^([a-z_][\w-]*)(?:\(([^)]*)\))?$/i);
+            if (match === null) {
+                return { converter: null, argument: undefined };
+            }
+            return { converter: _converters[match[1].toLowerCase()] ?? null, argument: match[2] };
+        }
+
+        /**
+         * Auxiliary function that reports that a value could not be converted: if _$.types.strict is true, it throws an error;
+         *      otherwise it returns the fallback value
+         * @param {*} value: the value
+         * @param {string} type: the type
+         * @param {*} fallback: the value to return
+         * @returns the fallback value
+         */
+        function _conversionFailed(value, type, fallback) {
+            if ($.types.strict) {
+                throw new TypeError(`nojQuery: the value "${value}" cannot be converted to type ${type}`);
+            }
+            return fallback;
+        }
+
+        /**
+         * Function that converts a string value to a type
+         * @param {string} value, the value to convert
+         * @param {string} type, the type to convert the value to, that must have been registered (see _$.types); any other
+         *              type leaves the value as is.
+         * @param {*} defaultValue, the value to return if the value is null or it cannot be converted (if it is a string, it
+         *              is converted to the type as well)
+         * @returns the converted value
+         * 
+         * (*) a value cannot be converted if the converter throws an error or returns NaN (e.g. "abc" for int); in that case,
+         *     if _$.types.strict is true, a TypeError is thrown. In strict mode the converters are also stricter (e.g. "12px"
+         *     is not an int and "yes" is not a bool, while they are 12 and false otherwise)
+         */
+        function convertValue(value, type, defaultValue = null) {
+            let { converter, argument } = _getConverter(type);
+            if ((typeof defaultValue === "string") && (converter !== null)) {
+                defaultValue = convertValue(defaultValue, type);
+            }
+            if ((value === null) || (value === undefined)) {
+                return defaultValue ?? null;
+            }
+            if (converter === null) {
+                return value;
+            }
+            let result;
+            try {
+                result = converter.parse(String(value), argument);
+            } catch (_) {
+                return _conversionFailed(value, type, defaultValue ?? null);
+            }
+            if (Number.isNaN(result) || (result === undefined)) {
+                return _conversionFailed(value, type, defaultValue ?? null);
+            }
+            return result;
+        }
+
+        /**
+         * Auxiliary function that converts a value to a string, using the converter for a type (it is the opposite to convertValue)
+         * @param {*} value: the value to convert
+         * @param {string} type: the type of the value (if it is not registered, the value is converted using String)
+         * @returns the string
+         */
+        function _stringifyValue(value, type) {
+            let { converter, argument } = _getConverter(type ?? "string");
+            if (converter === null) {
+                return String(value);
+            }
+            try {
+                return converter.stringify(value, argument);
+            } catch (_) {
+                return _conversionFailed(value, type, String(value));
+            }
+        }
+
+        /**
+         * The registry of the types that can be used in the names of the attributes and the data (e.g. attr("count:int=5") or
+         *      data("since:date")), to convert the values from and to strings
+         */
+        $.types = {
+            /**
+             * If true, the conversions that fail throw a TypeError (instead of returning the default value or null)
+             */
+            strict: false,
+
+            /**
+             * Function that registers a type (or replaces an existing one)
+             * @param {string} name: the name of the type (it is not case sensitive)
+             * @param {*} converter: an object { parse(string, argument), stringify(value, argument) } where parse converts a
+             *      string into a value (and throws an error if it is not valid), stringify converts a value into a string
+             *      (if not set, String is used), and argument is the text between parenthesis in the type (e.g. "a|b" in
+             *      "enum(a|b)"), if any
+             * @returns the registry
+             */
+            register(name, { parse, stringify = (value) => String(value) }) {
+                if (typeof parse !== "function") {
+                    throw new TypeError(`nojQuery: the converter for type ${name} must have a parse function`);
+                }
+                _converters[name.toLowerCase()] = { parse, stringify };
+                return this;
+            },
+
+            /**
+             * Function that converts a string into a value of a type (see convertValue)
+             * @param {string} value: the string
+             * @param {string} type: the type (e.g. "int" or "list(int)")
+             * @param {*} defaultValue: the value to return if the string is null or it cannot be converted
+             * @returns the value
+             */
+            parse(value, type, defaultValue = null) {
+                return convertValue(value, type, defaultValue);
+            },
+
+            /**
+             * Function that converts a value of a type into a string (see _stringifyValue)
+             * @param {*} value: the value
+             * @param {string} type: the type
+             * @returns the string
+             */
+            stringify(value, type) {
+                return _stringifyValue(value, type);
+            }
+        };
+
+        $.types.register("string", {
+            parse: (value) => value
+        }).register("int", {
+            // Unless in strict mode, the values are converted as parseInt does (e.g. "12px" is 12)
+            parse: (value) => {
+                if ($.types.strict && (!/^[-+]?\d+$/.test(value.trim()))) {
+                    throw new TypeError(`invalid integer ${value}`);
+                }
+                return parseInt(value, 10);
+            }
+        }).register("float", {
+            // In strict mode, Number is used because (unlike parseFloat) it does not accept trailing characters (e.g.
+            //  "1.5px"), but it converts "" to 0
+            parse: (value) => $.types.strict? (value.trim() === ""? NaN : Number(value)) : parseFloat(value)
+        }).register("bool", {
+            // Unless in strict mode, any value other than "", "true" or "1" is false (e.g. "off" or "no")
+            parse: (value) => {
+                let index = [ "", "true", "1", "false", "0" ].indexOf(value.trim().toLowerCase());
+                if ($.types.strict && (index < 0)) {
+                    throw new TypeError(`invalid boolean ${value}`);
+                }
+                return (index >= 0) && (index < 3);
+            }
+        }).register("json", {
+            parse: (value) => JSON.parse(value),
+            stringify: (value) => JSON.stringify(value)
+        }).register("date", {
+            parse: (value) => {
+                // The dates may also be written as timestamps (in milliseconds)
+                let date = new Date(/^-?\d+$/.test(value.trim())? Number(value) : value);
+                if (isNaN(date.getTime())) {
+                    throw new TypeError(`invalid date ${value}`);
+                }
+                return date;
+            },
+            stringify: (value) => Object.prototype.toString.call(value) === "[object Date]"? value.toISOString() : String(value)
+        }).register("list", {
+            // The items are separated by commas or spaces, and they may have a type (e.g. "list(int)")
+            parse: (value, itemType) => value.split(/[\s,]+/).filter((item) => item !== "").map((item) => {
+                if (itemType === undefined) {
+                    return item;
+                }
+                let converted = convertValue(item, itemType);
+                if (converted === null) {
+                    throw new TypeError(`invalid item ${item}`);
+                }
+                return converted;
+            }),
+            stringify: (value, itemType) => [ value ].flat().map((item) => _stringifyValue(item, itemType)).join(",")
+        }).register("enum", {
+            // The valid values are separated by "|" (e.g. "enum(small|medium|large)")
+            parse: (value, values = "") => {
+                if (!values.split("|").includes(value)) {
+                    throw new TypeError(`invalid value ${value}`);
+                }
+                return value;
+            },
+            stringify: (value, values = "") => {
+                if (!values.split("|").includes(String(value))) {
+                    throw new TypeError(`invalid value ${value}`);
+                }
+                return String(value);
+            }
+        });
+
+        const camelcaseToSnakecase = str => str.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+        const snakecaseToCamelcase = str => str.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+
+        Object.getOwnPropertyNames(fn).forEach((name) => _builtinMethods.add(name));
+        Object.getOwnPropertyNames(Array.prototype).forEach((name) => _builtinMethods.add(name));
+
+        $.createNojQuery = createNojQuery;
+        return $;
+    }
+
+    // The module builds export the factory (the global build does not, so that it does not pollute the global scope)
+    if ((typeof window === "undefined") || (exports !== window)) {
+        exports.createNojQuery = createNojQuery;
+    }
+
+    // The default instance is created only if there is a global window (e.g. it is not created in plain Node.js)
+    if (typeof window !== "undefined") {
+        const _previous = exports._$;
+        const $ = createNojQuery(window);
+
+        /**
+         * Function that gives back the name _$ to whatever it was before loading nojQuery, and returns this instance of
+         *      nojQuery so that it can be stored in other variable (e.g. const nq = _$.noConflict())
+         * @returns this instance of nojQuery
+         */
+        $.noConflict = function() {
+            if (exports._$ === $) {
+                exports._$ = _previous;
+            }
+            return $;
+        }
+
+        exports._$ = $;
+    }
+})(typeof exports === "object"? exports : window);
@@ -0,0 +1,114 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { setup } = require("./helpers.js");
+
+/**
+ * Function that creates a fake fetch that records the requests and answers them using a function(url, init) that
+ *      returns a Response (or a promise)
+ */
+function mockFetch(respond = () => new Response("")) {
+    const fetch = async (url, init) => {
+        fetch.requests.push({ url, init });
+        return respond(url, init);
+    };
+    fetch.requests = [];
+    return fetch;
+}
+
+/**
+ * Function that creates a fake fetch that never answers, but that is rejected when the request is aborted
+ */
+function pendingFetch() {
+    return (url, init) => new Promise((resolve, reject) => init.signal.addEventListener("abort", () => reject(new Error("aborted"))));
+}
+
+const json = (value, init = {}) => new Response(JSON.stringify(value), Object.assign({ headers: { "Content-Type": "application/json" } }, init));
+
+test("get, post and getJSON make the requests and parse the responses", async () => {
+    const { $ } = setup();
+    const fetch = mockFetch((url) => url.startsWith("/data")? json({ ok: true }) : new Response("text"));
+    $.ajaxSetup({ fetch });
+    assert.strictEqual(await $.get("/page", { q: "a b", ids: [ 1, 2 ] }), "text");
+    assert.deepStrictEqual(await $.getJSON("/data"), { ok: true });
+    assert.deepStrictEqual(await $.post("/data", { name: "John" }), { ok: true });
+    assert.deepStrictEqual(fetch.requests.map(({ url, init }) => [ url, init.method, init.body ]), [
+        [ "/page?q=a+b&ids%5B%5D=1&ids%5B%5D=2", "GET", undefined ],
+        [ "/data", "GET", undefined ],
+        [ "/data", "POST", "name=John" ]
+    ]);
+    assert.match(fetch.requests[2].init.headers["Content-Type"], /^application\/x-www-form-urlencoded/);
+});
+
+test("ajax sends json bodies and merges the headers", async () => {
+    const { $ } = setup();
+    const fetch = mockFetch(() => json([ 1 ]));
+    $.ajaxSetup({ fetch, headers: { "X-Requested-With": "nojQuery" } });
+    let result = await $.ajax("/api", { method: "put", data: { a: [ 1 ] }, contentType: "json", headers: { Authorization: "token" } });
+    assert.deepStrictEqual(result, [ 1 ]);
+    let { init } = fetch.requests[0];
+    assert.strictEqual(init.method, "PUT");
+    assert.strictEqual(init.body, '{"a":[1]}');
+    assert.deepStrictEqual(init.headers, { "X-Requested-With": "nojQuery", Authorization: "token", "Content-Type": "application/json" });
+});
+
+test("the method defaults to GET and the errors building the request reject the promise", async () => {
+    const { $ } = setup();
+    const fetch = mockFetch();
+    await $.ajax({ url: "/a", method: undefined, fetch });
+    assert.strictEqual(fetch.requests[0].init.method, "GET");
+    let circular = {};
+    circular.self = circular;
+    let promise = $.ajax({ url: "/a", method: "POST", contentType: "json", data: circular, fetch });
+    await assert.rejects(promise, TypeError);
+});
+
+test("the requests can time out or be aborted", async () => {
+    const { $ } = setup();
+    await assert.rejects($.ajax({ url: "/slow", timeout: 10, fetch: pendingFetch() }), { name: "AjaxError", type: "timeout" });
+    let promise = $.ajax({ url: "/slow", fetch: pendingFetch() });
+    promise.abort();
+    await assert.rejects(promise, { name: "AjaxError", type: "abort" });
+    let controller = new AbortController();
+    controller.abort();
+    await assert.rejects($.ajax({ url: "/slow", signal: controller.signal, fetch: pendingFetch() }), { type: "abort" });
+});
+
+test("the HTTP errors include the status and the content of the response", async () => {
+    const { $ } = setup();
+    const fetch = mockFetch(() => new Response("not found", { status: 404, statusText: "Not Found" }));
+    let error = await $.ajax({ url: "/missing", fetch }).catch((error) => error);
+    assert.strictEqual(error.name, "AjaxError");
+    assert.strictEqual(error.type, "http");
+    assert.strictEqual(error.status, 404);
+    assert.strictEqual(error.statusText, "Not Found");
+    assert.strictEqual(error.data, "not found");
+    let parseError = await $.ajax({ url: "/bad", dataType: "json", fetch: mockFetch(() => new Response("{")) }).catch((error) => error);
+    assert.strictEqual(parseError.type, "parse");
+});
+
+test("the beforeSend and error hooks are called, the default ones first", async () => {
+    const { $ } = setup();
+    let calls = [];
+    $.ajaxSetup({
+        beforeSend: (init) => { calls.push("default beforeSend"); init.headers["X-Token"] = "1"; },
+        error: (error) => calls.push(`default error ${error.type}`)
+    });
+    const fetch = mockFetch(() => new Response("", { status: 500 }));
+    await $.ajax({ url: "/a", fetch, beforeSend: () => calls.push("beforeSend"), error: (error) => calls.push(`error ${error.status}`) }).catch(() => {});
+    assert.strictEqual(fetch.requests[0].init.headers["X-Token"], "1");
+    await assert.rejects($.ajax({ url: "/b", fetch, beforeSend: () => false }), { type: "abort" });
+    assert.deepStrictEqual(calls, [ "default beforeSend", "beforeSend", "default error http", "error 500", "default beforeSend", "default error abort" ]);
+    assert.strictEqual(fetch.requests.length, 1);
+});
+
+test("load inserts the content, or the elements that match the selector, in every element", async () => {
+    const { document, $ } = setup("<div class='target'></div><div class='target'></div>");
+    const fetch = mockFetch(() => new Response("<h1>title</h1><p id='content'>text</p>"));
+    $.ajaxSetup({ fetch });
+    let collection = $(".target");
+    assert.strictEqual(await collection.load("/page"), collection);
+    assert.strictEqual(document.querySelectorAll(".target h1").length, 2);
+    await $(".target").load("/page #content", { id: 1 });
+    assert.deepStrictEqual(Array.from(document.querySelectorAll(".target"), (element) => element.innerHTML), [ '<p id="content">text</p>', '<p id="content">text</p>' ]);
+    assert.deepStrictEqual([ fetch.requests[1].url, fetch.requests[1].init.method, fetch.requests[1].init.body ], [ "/page", "POST", "id=1" ]);
+});
@@ -0,0 +1,71 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { setup } = require("./helpers.js");
+
+/**
+ * Function that changes the value of a form control as the user would do
+ */
+function input(window, element, value) {
+    if (typeof value === "boolean") {
+        element.checked = value;
+        element.dispatchEvent(new window.Event("change", { bubbles: true }));
+    } else {
+        element.value = value;
+        element.dispatchEvent(new window.Event("input", { bubbles: true }));
+    }
+}
+
+test("the model is rendered and the form controls write it back", async () => {
+    const { window, document, $ } = setup(`<form id="profile">
+        <h1 data-bind-text="user.name" data-bind-class-admin="user.admin"></h1>
+        <input id="name" data-bind-value="user.name"><input id="age" data-bind-value="user.age:int">
+        <input id="admin" type="checkbox" data-bind-value="user.admin"></form>`);
+    let model = $("#profile").bind({ user: { name: "John", age: 32, admin: false } });
+    assert.strictEqual(document.querySelector("h1").textContent, "John");
+    input(window, document.getElementById("age"), "33");
+    input(window, document.getElementById("admin"), true);
+    assert.deepStrictEqual(model.user, { name: "John", age: 33, admin: true });
+    model.user.name = "Jane";
+    await Promise.resolve();
+    assert.strictEqual(document.querySelector("h1").textContent, "Jane");
+    assert.strictEqual(document.querySelector("h1").className, "admin");
+    assert.strictEqual(document.getElementById("name").value, "Jane");
+});
+
+test("data-bind-html and data-bind-attr sanitize the values of the model", () => {
+    const { document, $ } = setup("<div id='root'><div data-bind-html='html'></div><a data-bind-attr-href='url' data-bind-attr-onclick='url'>link</a></div>");
+    $("#root").bind({ html: "<b>bold</b><img src='x' onerror='alert(1)'><script>alert(1)</script>", url: "javascript:alert(1)" });
+    assert.strictEqual(document.querySelector("[data-bind-html]").innerHTML, '<b>bold</b><img src="x">');
+    assert.strictEqual(document.querySelector("a").hasAttribute("href"), false);
+    assert.strictEqual(document.querySelector("a").hasAttribute("onclick"), false);
+    $("#root").bind({ html: "", url: "https://example.com" });
+    assert.strictEqual(document.querySelector("a").getAttribute("href"), "https://example.com");
+});
+
+test("binding a root again replaces the previous binding", async () => {
+    const { window, document, $ } = setup("<div id='root'><input data-bind-value='name'><span data-bind-text='name'></span></div>");
+    let first = $("#root").bind({ name: "first" });
+    let writes = 0;
+    let second = $("#root").bind(new Proxy({ name: "second" }, { set: (target, key, value) => { writes++; target[key] = value; return true; } }));
+    input(window, document.querySelector("input"), "changed");
+    assert.strictEqual(writes, 1);
+    assert.strictEqual(first.name, "first");
+    assert.strictEqual(second.name, "changed");
+    first.name = "stale";
+    await Promise.resolve();
+    assert.strictEqual(document.querySelector("span").textContent, "changed");
+});
+
+test("the checkboxes bound to values or lists write their value only while checked", () => {
+    const { window, document, $ } = setup(`<div id="root"><input type="checkbox" id="plan" value="pro" data-bind-value="plan">
+        <input type="checkbox" id="red" value="red" data-bind-value="colors"><input type="checkbox" id="blue" value="blue" data-bind-value="colors"></div>`);
+    let model = $("#root").bind({ plan: null, colors: [ "red" ] });
+    assert.strictEqual(document.getElementById("red").checked, true);
+    input(window, document.getElementById("plan"), true);
+    assert.strictEqual(model.plan, "pro");
+    input(window, document.getElementById("plan"), false);
+    assert.strictEqual(model.plan, null);
+    input(window, document.getElementById("blue"), true);
+    input(window, document.getElementById("red"), false);
+    assert.deepStrictEqual(Array.from(model.colors), [ "blue" ]);
+});
@@ -0,0 +1,36 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { setup } = require("./helpers.js");
+
+test("load keeps the content by default, sanitizes it on demand and removes the data of the elements replaced", async () => {
+    const { window, document, $ } = setup("<div class='target'><span>old</span></div><div class='target'></div>");
+    window.fetch = async () => new Response("<style>p { color: red; }</style><p id='content'>new<img src='x' onerror='alert(1)'></p><p>other</p><script>alert(1)</script>");
+    let old = $("span");
+    old.data("key", "value");
+    await $(".target").load("page.html");
+    assert.strictEqual(old.data("key"), undefined);
+    assert.strictEqual(document.querySelectorAll(".target p").length, 4);
+    assert.strictEqual(document.querySelectorAll(".target style").length, 2);
+    assert.strictEqual(document.querySelectorAll(".target [onerror]").length, 2);
+    assert.strictEqual(document.querySelector(".target script"), null);
+    await $(".target").load("page.html", undefined, undefined, { sanitize: true });
+    assert.strictEqual(document.querySelectorAll(".target p").length, 4);
+    assert.strictEqual(document.querySelector(".target style, .target [onerror]"), null);
+    await $(".target").load("page.html #content", undefined, undefined, { sanitize: true });
+    assert.strictEqual(document.querySelectorAll(".target p").length, 2);
+    assert.strictEqual(document.querySelector("[onerror]"), null);
+});
+
+test("data-bind-html removes the data and the event handlers of the elements replaced", async () => {
+    const { document, $ } = setup("<div id='root'><div data-bind-html='content'></div></div>");
+    let model = $("#root").bind({ content: "<button>first</button>" });
+    let clicks = 0;
+    let button = $("button");
+    button.on("click", () => clicks++).data("key", "value");
+    model.content = "<button>second</button>";
+    await Promise.resolve();
+    assert.strictEqual(document.querySelector("button").textContent, "second");
+    assert.strictEqual(button.data("key"), undefined);
+    button[0].click();
+    assert.strictEqual(clicks, 0);
+});
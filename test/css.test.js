@@ -0,0 +1,35 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { setup } = require("./helpers.js");
+
+test("css reads the computed values using camelCase or snake-case names", () => {
+    const { $ } = setup("<style>.box { color: red; margin-left: 4px; }</style><div class='box' style='--accent: blue'></div>");
+    assert.strictEqual($(".box").css("color"), "rgb(255, 0, 0)");
+    assert.strictEqual($(".box").css("marginLeft"), "4px");
+    assert.strictEqual($(".box").css("margin-left"), "4px");
+    assert.strictEqual($(".box").css("--accent"), "blue");
+    assert.deepStrictEqual($(".box").css([ "color", "marginLeft" ]), { color: "rgb(255, 0, 0)", marginLeft: "4px" });
+    assert.strictEqual($([]).css("color"), undefined);
+});
+
+test("css sets the values, adding px to the unitless numbers where it makes sense", () => {
+    const { document, $ } = setup("<div id='a'></div><div id='b'></div>");
+    $("div").css({ width: 10, opacity: 0.5, zIndex: 3, "--gap": 2, backgroundColor: "red" });
+    let style = document.getElementById("a").style;
+    assert.strictEqual(style.width, "10px");
+    assert.strictEqual(style.opacity, "0.5");
+    assert.strictEqual(style.zIndex, "3");
+    assert.strictEqual(style.getPropertyValue("--gap"), "2");
+    assert.strictEqual(document.getElementById("b").style.backgroundColor, "red");
+    $("#a").css("color", "blue !important");
+    assert.strictEqual(style.getPropertyValue("color"), "blue");
+    assert.strictEqual(style.getPropertyPriority("color"), "important");
+    $("#a").css("color", "");
+    assert.strictEqual(style.getPropertyValue("color"), "");
+});
+
+test("css accepts a function bound to each element that receives the current value", () => {
+    const { document, $ } = setup("<div style='width: 10px'></div><div style='width: 20px'></div>");
+    $("div").css("width", function(index, current) { return parseFloat(current) * 2 + index; });
+    assert.deepStrictEqual(Array.from(document.querySelectorAll("div"), (element) => element.style.width), [ "20px", "41px" ]);
+});
@@ -0,0 +1,42 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { setup } = require("./helpers.js");
+
+test("data stores values of any type without changing the data-* attributes", () => {
+    const { document, $ } = setup("<div id='a'></div><div id='b'></div>");
+    let widget = { open() {} };
+    const callback = () => {};
+    $("div").data("widget", widget).data({ callback, myValue: 1 });
+    assert.strictEqual($("#b").data("widget"), widget);
+    assert.strictEqual($("#a").data("callback"), callback);
+    assert.strictEqual($("#a").data("my-value"), 1);
+    assert.strictEqual(document.getElementById("a").hasAttribute("data-widget"), false);
+    assert.strictEqual($([]).data("widget"), null);
+});
+
+test("data reads the data-* attributes converted as jQuery does, and the stored values take precedence", () => {
+    const { $ } = setup(`<div id="a" data-count="3" data-flag="true" data-empty="null" data-options='{"a":1}' data-list="[1,2]" data-zip="007" data-user-name="John"></div>`);
+    assert.deepStrictEqual($("#a").data(), { count: 3, flag: true, empty: null, options: { a: 1 }, list: [ 1, 2 ], zip: "007", userName: "John" });
+    assert.strictEqual($("#a").data("userName"), "John");
+    $("#a").data("count", 5);
+    assert.strictEqual($("#a").data("count"), 5);
+    assert.strictEqual($("#a").data().count, 5);
+});
+
+test("removeData and hasData work with the store, and remove cleans it", () => {
+    const { document, $ } = setup("<div id='a' data-attribute='1'></div>");
+    let element = $("#a");
+    assert.strictEqual(element.hasData(), false);
+    element.data({ one: 1, two: 2, three: 3 });
+    assert.strictEqual(element.hasData("one"), true);
+    element.removeData("one two");
+    assert.strictEqual(element.hasData("one"), false);
+    assert.strictEqual(element.data("three"), 3);
+    element.removeData();
+    assert.strictEqual(element.hasData(), false);
+    assert.strictEqual(element.data("attribute"), 1);
+    element.data("widget", {});
+    element.remove();
+    assert.strictEqual(element.hasData(), false);
+    assert.strictEqual(document.getElementById("a"), null);
+});
@@ -0,0 +1,113 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { setup } = require("./helpers.js");
+
+/**
+ * Function that makes an element report a border box (jsdom does not make the layout); the hidden elements measure 0, as
+ *      they would in a browser
+ */
+function stubBorderBox(window, element, width, height) {
+    const measure = (size) => () => window.getComputedStyle(element).display === "none"? 0 : size;
+    Object.defineProperty(element, "offsetWidth", { configurable: true, get: measure(width) });
+    Object.defineProperty(element, "offsetHeight", { configurable: true, get: measure(height) });
+}
+
+/**
+ * Function that makes an element report its bounding rectangle in the viewport (the top and left css values move it)
+ */
+function stubRect(window, element, top, left) {
+    element.getClientRects = () => [ element.getBoundingClientRect() ];
+    element.getBoundingClientRect = () => {
+        let style = window.getComputedStyle(element);
+        return { top: top + (parseFloat(style.top) || 0), left: left + (parseFloat(style.left) || 0), width: 0, height: 0 };
+    };
+}
+
+const BOX = "width: 100px; height: 50px; padding: 10px; border: 2px solid black; margin: 5px";
+
+test("width, innerWidth, outerWidth and outerWidth(true) measure the different boxes", () => {
+    const { window, document, $ } = setup(`<div id='a' style='${BOX}'></div>`);
+    stubBorderBox(window, document.getElementById("a"), 124, 74);
+    assert.strictEqual($("#a").width(), 100);
+    assert.strictEqual($("#a").innerWidth(), 120);
+    assert.strictEqual($("#a").outerWidth(), 124);
+    assert.strictEqual($("#a").outerWidth(true), 134);
+    assert.strictEqual($("#a").height(), 50);
+    assert.strictEqual($("#a").innerHeight(), 70);
+    assert.strictEqual($("#a").outerHeight(true), 84);
+    assert.strictEqual($([]).width(), 0);
+});
+
+test("width and height measure the content box of the border-box and hidden elements", () => {
+    const { window, document, $ } = setup(`<div id='a' style='${BOX}; box-sizing: border-box; display: none'></div>`);
+    let a = document.getElementById("a");
+    stubBorderBox(window, a, 100, 50);
+    assert.strictEqual($("#a").width(), 76);
+    assert.strictEqual($("#a").outerHeight(), 50);
+    assert.strictEqual(a.style.display, "none");
+    assert.strictEqual(a.style.position, "");
+});
+
+test("the dimension setters adapt the value to the box and the box-sizing", () => {
+    const { document, $ } = setup(`<div id='a' style='${BOX}'></div><div id='b' style='${BOX}; box-sizing: border-box'></div>`);
+    let a = document.getElementById("a");
+    let b = document.getElementById("b");
+    $("#a").outerWidth(150);
+    assert.strictEqual(a.style.width, "126px");
+    $("#a").innerHeight("40");
+    assert.strictEqual(a.style.height, "20px");
+    $("#a").outerWidth(150, true);
+    assert.strictEqual(a.style.width, "116px");
+    $("#b").width(100);
+    assert.strictEqual(b.style.width, "124px");
+    $("#b").height("50%");
+    assert.strictEqual(b.style.height, "50%");
+    $("#b").width(function(i, width) { return 10; });
+    assert.strictEqual(b.style.width, "34px");
+});
+
+test("offset reads the position in the document and moves the elements to the one set", () => {
+    const { window, document, $ } = setup("<div id='a' style='position: static'></div><div id='b'></div>");
+    let a = document.getElementById("a");
+    stubRect(window, a, 50, 10);
+    assert.deepStrictEqual($("#a").offset(), { top: 50, left: 10 });
+    assert.deepStrictEqual($("#b").offset(), { top: 0, left: 0 });
+    $("#a").offset({ top: 80, left: 45 });
+    assert.strictEqual(a.style.position, "relative");
+    assert.strictEqual(a.style.top, "30px");
+    assert.strictEqual(a.style.left, "35px");
+    assert.deepStrictEqual($("#a").offset(), { top: 80, left: 45 });
+    $("#a").offset(function(i, offset) { return { top: offset.top + 5 }; });
+    assert.deepStrictEqual($("#a").offset(), { top: 85, left: 45 });
+});
+
+test("position is relative to the padding box of the offset parent, without the margins", () => {
+    const { window, document, $ } = setup("<div id='parent' style='position: relative; border: 3px solid black'><div id='child' style='margin: 4px'></div></div>");
+    let parent = document.getElementById("parent");
+    let child = document.getElementById("child");
+    stubRect(window, parent, 100, 50);
+    stubRect(window, child, 130, 70);
+    Object.defineProperty(child, "offsetParent", { configurable: true, get: () => parent });
+    assert.deepStrictEqual($("#child").position(), { top: 23, left: 13 });
+    assert.deepStrictEqual($([]).position(), { top: 0, left: 0 });
+});
+
+test("scrollTop and scrollLeft read and set the scroll position, optionally smoothly", () => {
+    const { window, document, $ } = setup("<div id='a'></div>");
+    let a = document.getElementById("a");
+    let calls = [];
+    a.scrollTo = (options) => calls.push(options);
+    window.scrollTo = (options) => calls.push(options);
+    Object.defineProperty(a, "scrollTop", { configurable: true, get: () => 15 });
+    assert.strictEqual($("#a").scrollTop(), 15);
+    assert.strictEqual($(document).scrollLeft(), 0);
+    let collection = $("#a");
+    assert.strictEqual(collection.scrollTop(40, true), collection);
+    $("#a").scrollLeft(25, { behavior: "smooth" });
+    $(document).scrollTop(10);
+    assert.deepStrictEqual(calls, [
+        { top: 40, behavior: "smooth" },
+        { left: 25, behavior: "smooth" },
+        { top: 10, behavior: "auto" }
+    ]);
+});
@@ -0,0 +1,48 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { setup } = require("./helpers.js");
+
+/**
+ * Function that dispatches a drop event with a fake dataTransfer (jsdom does not implement DataTransfer)
+ */
+function drop(window, element, dataTransfer) {
+    let event = new window.Event("drop", { bubbles: true, cancelable: true });
+    Object.defineProperty(event, "dataTransfer", { value: dataTransfer });
+    element.dispatchEvent(event);
+}
+
+/**
+ * Function that waits for the pending promises to settle
+ */
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+test("the dropped files are filtered and passed to the callbacks", async () => {
+    const { window, document, $ } = setup("<div id='zone'></div>");
+    let dropped = null, rejected = null;
+    $("#zone").droppable({
+        accept: "image/*",
+        onDropFiles: (files) => dropped = files,
+        onReject: (files) => rejected = files
+    });
+    let image = new window.File([ "x" ], "a.png", { type: "image/png" });
+    let text = new window.File([ "x" ], "a.txt", { type: "text/plain" });
+    drop(window, document.getElementById("zone"), { files: [ image, text ] });
+    await flush();
+    assert.deepStrictEqual(dropped, [ image ]);
+    assert.deepStrictEqual(rejected, [ { file: text, reason: "type" } ]);
+});
+
+test("the errors reading the dropped folders are passed to onError", async () => {
+    const { window, document, $ } = setup("<div id='zone'></div>");
+    let errors = [], dropped = false;
+    $("#zone").droppable({ onDropFiles: () => dropped = true, onError: (error) => errors.push(error.message) });
+    let folder = {
+        isDirectory: true,
+        createReader: () => ({ readEntries: (resolve, reject) => reject(new Error("not readable")) })
+    };
+    let file = new window.File([ "x" ], "folder", { type: "" });
+    drop(window, document.getElementById("zone"), { files: [ file ], items: [ { kind: "file", webkitGetAsEntry: () => folder } ] });
+    await flush();
+    assert.deepStrictEqual(errors, [ "not readable" ]);
+    assert.strictEqual(dropped, false);
+});
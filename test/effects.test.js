@@ -0,0 +1,27 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { setup } = require("./helpers.js");
+
+const styles = "<style>.row { display: flex; } .hidden { display: none; }</style>";
+
+test("hide and show restore the inline display of the elements", () => {
+    const { document, $ } = setup(`${styles}<div class="row" id="row"></div><span id="inline" style="display: inline-block"></span>`);
+    $("#row, #inline").hide();
+    assert.strictEqual(document.getElementById("row").style.display, "none");
+    $("#row, #inline").show();
+    assert.strictEqual(document.getElementById("row").getAttribute("style"), "");
+    assert.strictEqual(document.getElementById("inline").style.display, "inline-block");
+    $("#row").hide().hide().show();
+    assert.strictEqual(document.getElementById("row").style.display, "");
+});
+
+test("show uses the default display only if a stylesheet hides the element", () => {
+    const { document, $ } = setup(`${styles}<div class="hidden" id="div"></div><p style="display: none" id="p"></p>`);
+    $("#div, #p").show();
+    assert.strictEqual(document.getElementById("div").style.display, "block");
+    assert.strictEqual(document.getElementById("p").style.display, "");
+    $("#div").toggle();
+    assert.strictEqual(document.getElementById("div").style.display, "none");
+    $("#div").toggle();
+    assert.strictEqual(document.getElementById("div").style.display, "block");
+});
@@ -0,0 +1,83 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { setup } = require("./helpers.js");
+
+test("triggerHandler runs the handlers of the first element with the element as target", () => {
+    const { document, $ } = setup("<div id='a'><span></span></div><div id='b'></div>");
+    let calls = [];
+    $("body").on("saved", () => calls.push("body"));
+    $("div").on("saved.widget", function(event, value) {
+        calls.push([ this.id, event.target.id, event.currentTarget.id, value ]);
+        return "result";
+    });
+    assert.strictEqual($("div").triggerHandler("saved", 5), "result");
+    assert.deepStrictEqual(calls, [ [ "a", "a", "a", 5 ] ]);
+    assert.strictEqual($("div").triggerHandler("saved.other"), undefined);
+    assert.strictEqual($([]).triggerHandler("saved"), undefined);
+    assert.strictEqual(document.getElementById("a").__eventHandlers.saved.length, 1);
+});
+
+test("the handlers can be delegated, namespaced and removed using off", () => {
+    const { document, $ } = setup("<ul id='list'><li class='item'><b>1</b></li><li>2</li></ul>");
+    let calls = [];
+    const onItem = function(event) { calls.push([ "item", this.tagName, event.target.tagName ]); };
+    $("#list").on("click.menu", ".item", onItem).on("click.other", () => calls.push([ "list" ]));
+    document.querySelector("b").click();
+    document.querySelectorAll("li")[1].click();
+    assert.deepStrictEqual(calls, [ [ "item", "LI", "B" ], [ "list" ], [ "list" ] ]);
+    calls = [];
+    $("#list").off(".other");
+    document.querySelector("b").click();
+    $("#list").off("click", ".item", onItem);
+    document.querySelector("b").click();
+    assert.deepStrictEqual(calls, [ [ "item", "LI", "B" ] ]);
+    assert.strictEqual(document.getElementById("list").__eventHandlers, undefined);
+});
+
+test("trigger passes the extra parameters, one handlers run once and returning false stops the event", () => {
+    const { document, $ } = setup("<div id='outer'><button id='inner'></button></div>");
+    let calls = [];
+    $("#outer").on("saved", (event, a, b) => calls.push([ "outer", a, b, event.detail ]));
+    $("#inner").one("saved", () => calls.push([ "once" ]));
+    $("#inner").trigger("saved", [ 1, 2 ]);
+    $("#inner").trigger("saved.widget", [ 3, 4 ]);
+    assert.deepStrictEqual(calls, [ [ "once" ], [ "outer", 1, 2, [ 1, 2 ] ] ]);
+    calls = [];
+    $("#inner").on("click", () => false);
+    $("#outer").on("click", () => calls.push("outer"));
+    let event = new document.defaultView.MouseEvent("click", { bubbles: true, cancelable: true });
+    document.getElementById("inner").dispatchEvent(event);
+    assert.strictEqual(event.defaultPrevented, true);
+    assert.deepStrictEqual(calls, []);
+});
+
+test("trigger runs the handlers of focus and blur even if the native method does nothing, and only once", () => {
+    const { document, $ } = setup("<form><input id='field'><div id='box'></div></form>");
+    let calls = [];
+    $("#field").on("focus blur", (event, value) => calls.push([ event.type, value ]));
+    $("form").on("blur", () => calls.push([ "form" ]));
+    $("#field").trigger("blur", "validate");
+    assert.deepStrictEqual(calls, [ [ "blur", "validate" ], [ "form" ] ]);
+    calls = [];
+    $("#field").trigger("focus");
+    assert.strictEqual(document.activeElement, document.getElementById("field"));
+    $("#field").trigger("blur");
+    assert.notStrictEqual(document.activeElement, document.getElementById("field"));
+    assert.deepStrictEqual(calls, [ [ "focus", undefined ], [ "blur", undefined ], [ "form" ] ]);
+    let focused = 0;
+    $("#box").on("focus", () => focused++).trigger("focus");
+    assert.strictEqual(focused, 1);
+});
+
+test("trigger('click') runs the default action unless a handler prevents it", () => {
+    const { document, $ } = setup("<input type='checkbox' id='check'><button id='button'></button>");
+    let states = [];
+    $("#check").on("click", function() { states.push(this.checked); }).trigger("click");
+    assert.deepStrictEqual(states, [ true ]);
+    let clicks = 0;
+    document.getElementById("button").addEventListener("click", () => clicks++);
+    $("#button").on("click", () => {}).trigger("click");
+    assert.strictEqual(clicks, 1);
+    $("#button").on("click", () => false).trigger("click");
+    assert.strictEqual(clicks, 1);
+});
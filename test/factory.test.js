@@ -0,0 +1,43 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { JSDOM } = require("jsdom");
+const nojquery = require("../src/nojquery.js");
+const { setup } = require("./helpers.js");
+
+test("the CommonJS module exports the factory, and no global instance without a window", () => {
+    assert.strictEqual(typeof nojquery.createNojQuery, "function");
+    assert.strictEqual(nojquery._$, undefined);
+});
+
+test("the factory accepts a window or a document", () => {
+    const dom = new JSDOM("<p class='x'></p><p class='x'></p>");
+    assert.strictEqual(nojquery.createNojQuery(dom.window)(".x").length, 2);
+    assert.strictEqual(nojquery.createNojQuery(dom.window.document)(".x").length, 2);
+    assert.throws(() => nojquery.createNojQuery(null), TypeError);
+});
+
+test("the elements are created in the window of the instance", () => {
+    const { window, $ } = setup();
+    let collection = $("<b>hi</b>");
+    assert.ok(collection[0] instanceof window.Element);
+    assert.ok(collection instanceof $);
+});
+
+test("the manipulation functions accept NodeLists, HTMLCollections and strings", () => {
+    const { document, $ } = setup("<div id='target'></div><ul><li>1</li><li>2</li></ul><span>a</span>");
+    $("#target").append(document.querySelectorAll("li"));
+    assert.strictEqual(document.querySelectorAll("#target > li").length, 2);
+    $("#target").prepend(document.getElementsByTagName("span"));
+    assert.strictEqual(document.querySelector("#target").firstElementChild.tagName, "SPAN");
+    $("#target").before("<i></i>").after({});
+    assert.strictEqual(document.querySelector("#target").previousElementSibling.tagName, "I");
+});
+
+test("several instances work with their own documents", () => {
+    const first = setup("<p>1</p>");
+    const second = setup("<p>2</p><p>3</p>");
+    assert.strictEqual(first.$("p").length, 1);
+    assert.strictEqual(second.$("p").length, 2);
+    second.$("p").addClass("y");
+    assert.strictEqual(first.document.querySelectorAll(".y").length, 0);
+});
@@ -0,0 +1,50 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { setup } = require("./helpers.js");
+
+const form = `<form id="form">
+    <input name="user[name]" value="John"><input name="user[age]:int" value="32">
+    <input name="user[address][city]" value="Paris">
+    <input type="checkbox" name="tags[]" value="a" checked><input type="checkbox" name="tags[]" value="b"><input type="checkbox" name="tags[]" value="c" checked>
+    <input type="radio" name="plan" value="free"><input type="radio" name="plan" value="pro" checked>
+    <select name="colors" multiple><option selected>red</option><option>green</option><option selected>blue</option></select>
+    <textarea name="notes">a
+b</textarea>
+    <input name="disabled" value="x" disabled><input type="submit" name="send" value="send"><input value="no name">
+</form>`;
+
+test("val reads and sets every type of control", () => {
+    const { document, $ } = setup(form);
+    assert.strictEqual($("[name='user[name]']").val(), "John");
+    assert.deepStrictEqual($("[name='tags[]']").val(), [ "a", "c" ]);
+    assert.strictEqual($("[name=plan]").val(), "pro");
+    assert.deepStrictEqual($("select").val(), [ "red", "blue" ]);
+    assert.strictEqual($([]).val(), undefined);
+    $("[name='tags[]']").val([ "b" ]);
+    $("[name=plan]").val("free");
+    $("select").val([ "green" ]);
+    $("[name='user[name]']").val(function(index, current) { return current.toUpperCase(); });
+    assert.deepStrictEqual($("[name='tags[]']").val(), [ "b" ]);
+    assert.strictEqual(document.querySelector("[value=free]").checked, true);
+    assert.deepStrictEqual($("select").val(), [ "green" ]);
+    assert.strictEqual($("[name='user[name]']").val(), "JOHN");
+});
+
+test("serializeArray and serialize include the controls that would be submitted", () => {
+    const { $ } = setup(form);
+    let names = $("#form").serializeArray().map(({ name }) => name);
+    assert.deepStrictEqual(names, [ "user[name]", "user[age]:int", "user[address][city]", "tags[]", "tags[]", "plan", "colors", "colors", "notes" ]);
+    assert.strictEqual($("#form").serializeArray().pop().value, "a\r\nb");
+    assert.strictEqual($("[name=plan], select").serialize(), "plan=pro&colors=red&colors=blue");
+});
+
+test("serializeObject builds nested objects and converts the typed names", () => {
+    const { $ } = setup(form);
+    assert.deepStrictEqual($("#form").serializeObject(), {
+        user: { name: "John", age: 32, address: { city: "Paris" } },
+        tags: [ "a", "c" ],
+        plan: "pro",
+        colors: [ "red", "blue" ],
+        notes: "a\r\nb"
+    });
+});
@@ -0,0 +1,61 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { setup } = require("./helpers.js");
+
+/**
+ * Function that dispatches a pointer event (jsdom does not implement PointerEvent, so it is a MouseEvent with the
+ *      properties of the pointer events)
+ */
+function pointer(window, target, type, clientX, clientY, pointerId = 1) {
+    let event = new window.MouseEvent(type, { bubbles: true, cancelable: true, clientX, clientY, button: 0 });
+    Object.defineProperties(event, { pointerId: { value: pointerId }, pointerType: { value: "touch" } });
+    target.dispatchEvent(event);
+}
+
+const wait = (milliseconds) => new Promise((resolve) => setTimeout(resolve, milliseconds));
+
+test("tap and swipe are fired in the element where the gesture started, and they bubble", () => {
+    const { window, document, $ } = setup("<div id='card'><span id='label'>label</span></div>");
+    let fired = [];
+    $("#card").on("tap swipe swipeleft swiperight", (event) => fired.push([ event.type, event.target.id, event.detail.direction ]));
+    const label = document.getElementById("label");
+    pointer(window, label, "pointerdown", 100, 100);
+    pointer(window, label, "pointerup", 103, 102);
+    pointer(window, label, "pointerdown", 100, 100);
+    pointer(window, document, "pointermove", 60, 105);
+    pointer(window, document, "pointerup", 40, 105);
+    assert.deepStrictEqual(fired, [
+        [ "tap", "label", "right" ],
+        [ "swipe", "label", "left" ],
+        [ "swipeleft", "label", "left" ]
+    ]);
+});
+
+test("dragmove and longpress use the thresholds set using gestures, and the other pointers are ignored", async () => {
+    const { window, document, $ } = setup("<div id='card'></div>");
+    let fired = [];
+    const card = document.getElementById("card");
+    $(card).gestures({ longpressTime: 20, tapDistance: 5 }).on("longpress tap dragmove", (event) => fired.push([ event.type, event.detail.dx ]));
+    pointer(window, card, "pointerdown", 10, 10);
+    pointer(window, document, "pointermove", 40, 10, 2);
+    await wait(40);
+    pointer(window, document, "pointerup", 10, 10);
+    pointer(window, card, "pointerdown", 10, 10);
+    pointer(window, document, "pointermove", 20, 10);
+    pointer(window, document, "pointerup", 20, 10);
+    assert.deepStrictEqual(fired, [ [ "longpress", 0 ], [ "dragmove", 10 ] ]);
+});
+
+test("the pointer listeners are removed with the last gesture handler", () => {
+    const { window, document, $ } = setup("<div id='card'></div>");
+    let taps = 0;
+    const card = document.getElementById("card");
+    $(card).on("tap.a", () => taps++).on("swipe.b", () => {});
+    $(card).off(".a");
+    assert.notStrictEqual(card.__gestures, undefined);
+    $(card).off("swipe");
+    assert.strictEqual(card.__gestures, undefined);
+    pointer(window, card, "pointerdown", 0, 0);
+    pointer(window, card, "pointerup", 0, 0);
+    assert.strictEqual(taps, 0);
+});
@@ -0,0 +1,14 @@
+const { JSDOM } = require("jsdom");
+const { createNojQuery } = require("../src/nojquery.js");
+
+/**
+ * Function that creates a jsdom window with some HTML and an instance of nojQuery bound to it
+ * @param {string} html: the HTML of the body
+ * @returns an object { window, document, $ }
+ */
+function setup(html = "") {
+    const dom = new JSDOM(`<!DOCTYPE html><body>${html}</body>`, { pretendToBeVisual: true });
+    return { window: dom.window, document: dom.window.document, $: createNojQuery(dom.window) };
+}
+
+module.exports = { setup };
@@ -0,0 +1,50 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { setup } = require("./helpers.js");
+
+/**
+ * Function that dispatches a keydown event in an element
+ * @returns the result of dispatchEvent (i.e. false if the default action was prevented)
+ */
+function keydown(window, element, key, init = {}) {
+    return element.dispatchEvent(new window.KeyboardEvent("keydown", Object.assign({ key, bubbles: true, cancelable: true }, init)));
+}
+
+test("the keys are matched using event.key, respecting the layout of the keyboard", () => {
+    const { window, document, $ } = setup();
+    let fired = [];
+    $.hotkey("ctrl+a", () => fired.push("ctrl+a"));
+    $.hotkey("ctrl+q", () => fired.push("ctrl+q"));
+    // The physical key Q produces "a" in AZERTY
+    keydown(window, document.body, "a", { code: "KeyQ", ctrlKey: true });
+    assert.deepStrictEqual(fired, [ "ctrl+a" ]);
+});
+
+test("event.code is used when shift or alt change the character", () => {
+    const { window, document, $ } = setup();
+    let fired = [];
+    $.hotkey("shift+1", () => fired.push("shift+1"));
+    $.hotkey("alt+s", () => fired.push("alt+s"));
+    keydown(window, document.body, "!", { code: "Digit1", shiftKey: true });
+    keydown(window, document.body, "ß", { code: "KeyS", altKey: true });
+    assert.deepStrictEqual(fired, [ "shift+1", "alt+s" ]);
+});
+
+test("the shortcuts follow the focus scope, support sequences and can be removed using off", () => {
+    const { window, document, $ } = setup("<input id='field'><div id='dialog'><button id='button'></button></div>");
+    let fired = [];
+    const save = () => { fired.push("page"); return false; };
+    $.hotkey("ctrl+s", save);
+    $("#dialog").hotkey("ctrl+s", () => fired.push("dialog"));
+    $.hotkey("g i", (event) => fired.push(event.hotkey));
+    const button = document.getElementById("button");
+    keydown(window, button, "s", { ctrlKey: true });
+    assert.strictEqual(keydown(window, document.body, "s", { ctrlKey: true }), false);
+    keydown(window, document.body, "g");
+    keydown(window, document.body, "i");
+    keydown(window, document.getElementById("field"), "s", { ctrlKey: true });
+    assert.deepStrictEqual(fired, [ "dialog", "page", "g i" ]);
+    $(document).off("keydown", save);
+    keydown(window, document.body, "s", { ctrlKey: true });
+    assert.deepStrictEqual(fired, [ "dialog", "page", "g i" ]);
+});
@@ -0,0 +1,68 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { setup } = require("./helpers.js");
+
+/**
+ * Function that waits for the pending mutation records to be delivered to the observers
+ */
+function tick() {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+test("$.onAdded calls the callback for the present elements and for the ones added later", async () => {
+    const { document, $ } = setup("<div id='list'><span class='item' id='a'></span></div>");
+    let calls = [];
+    $.onAdded(".item", function(element) { calls.push([this.id, element.id]); });
+    assert.deepStrictEqual(calls, [["a", "a"]]);
+    $("#list").append("<p><span class='item' id='b'></span></p><span id='c'></span>");
+    await tick();
+    assert.deepStrictEqual(calls, [["a", "a"], ["b", "b"]]);
+    document.getElementById("list").appendChild(document.getElementById("b"));
+    await tick();
+    assert.deepStrictEqual(calls, [["a", "a"], ["b", "b"]]);
+});
+
+test("$.onRemoved calls the callback when a matching element leaves the document", async () => {
+    const { document, $ } = setup("<div id='list'><p><span class='item' id='a'></span></p><span class='item' id='b'></span></div>");
+    let removed = [];
+    $.onRemoved(".item", function(element) { removed.push(this.id); });
+    assert.deepStrictEqual(removed, []);
+    document.querySelector("p").remove();
+    await tick();
+    assert.deepStrictEqual(removed, ["a"]);
+    let b = document.getElementById("b");
+    b.remove();
+    document.body.appendChild(b);
+    await tick();
+    assert.deepStrictEqual(removed, ["a"]);
+});
+
+test("fn.onAdded and fn.onRemoved only watch the elements inside the collection", async () => {
+    const { document, $ } = setup("<div id='one'></div><div id='two'></div>");
+    let added = [];
+    let removed = [];
+    $("#one").onAdded(".item", function() { added.push(this.id); });
+    $("#one").onRemoved(".item", function() { removed.push(this.id); });
+    $("#one").append("<span class='item' id='a'></span>");
+    $("#two").append("<span class='item' id='b'></span>");
+    await tick();
+    assert.deepStrictEqual(added, ["a"]);
+    document.getElementById("two").appendChild(document.getElementById("a"));
+    await tick();
+    assert.deepStrictEqual(removed, ["a"]);
+});
+
+test("the returned function cancels the registration", async () => {
+    const { $ } = setup("<div id='list'></div>");
+    let calls = 0;
+    let cancel = $.onAdded(".item", () => calls++);
+    $("#list").append("<span class='item'></span>");
+    await tick();
+    assert.strictEqual(calls, 1);
+    cancel();
+    $("#list").append("<span class='item'></span>");
+    await tick();
+    assert.strictEqual(calls, 1);
+    $.onAdded(".item", () => calls++);
+    assert.strictEqual(calls, 3);
+});
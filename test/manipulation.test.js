@@ -0,0 +1,90 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { setup } = require("./helpers.js");
+
+const texts = (elements) => Array.from(elements, (element) => element.textContent);
+
+test("the content is cloned into every target and the original goes to the last one", () => {
+    const { document, $ } = setup("<div class='box'></div><div class='box'></div><b id='item'>b</b>");
+    let item = document.getElementById("item");
+    $(".box").append(item);
+    assert.strictEqual(document.querySelectorAll(".box b").length, 2);
+    assert.strictEqual(document.querySelectorAll(".box")[1].firstChild, item);
+    $(".box").prepend([ document.createElement("i"), "<u>u</u>" ]).append(function(index, html) { return `<s>${index}</s>`; });
+    assert.deepStrictEqual(Array.from(document.querySelectorAll(".box"), (box) => box.innerHTML), [
+        "<i></i><u>u</u><b id=\"item\">b</b><s>0</s>",
+        "<i></i><u>u</u><b id=\"item\">b</b><s>1</s>"
+    ]);
+});
+
+test("inserting strings keeps the existing listeners and form state", () => {
+    const { document, $ } = setup("<div id='box'><input id='field'></div>");
+    let clicks = 0;
+    $("#field").on("click", () => clicks++).val("typed");
+    $("#box").append("<span>after</span>").prepend("<span>before</span>");
+    $("#field").before("<i></i>").after("<i></i>");
+    document.getElementById("field").click();
+    assert.strictEqual(clicks, 1);
+    assert.strictEqual(document.getElementById("field").value, "typed");
+    assert.strictEqual(document.getElementById("box").children.length, 5);
+});
+
+test("appendTo, prependTo, insertBefore and insertAfter return the inserted elements", () => {
+    const { document, $ } = setup("<ul><li>a</li></ul><ul><li>a</li></ul>");
+    let inserted = $("<li>z</li>").appendTo("ul");
+    assert.strictEqual(inserted.length, 2);
+    $("<li>0</li>").prependTo([ ...document.querySelectorAll("ul") ]);
+    $("<li>before</li>").insertBefore($("ul:first-child li").eq(1));
+    $("<li>after</li>").insertAfter(() => document.querySelector("ul li:last-child"));
+    assert.deepStrictEqual(texts(document.querySelectorAll("ul:first-child li")), [ "0", "before", "a", "z", "after" ]);
+    assert.deepStrictEqual(texts(document.querySelectorAll("ul:last-child li")), [ "0", "a", "z" ]);
+});
+
+test("replaceWith, wrap, wrapAll, wrapInner, unwrap and detach", () => {
+    const { document, $ } = setup("<div id='root'><p class='p'>1</p><p class='p'>2</p><span id='old'>old</span></div>");
+    let removed = $("#old").data("key", 1).replaceWith("<em>new</em>");
+    assert.strictEqual(removed.data("key"), undefined);
+    assert.strictEqual(document.querySelector("#root em").textContent, "new");
+    $(".p").wrap("<div class='outer'><div class='inner'></div></div>");
+    assert.strictEqual(document.querySelectorAll(".outer > .inner > .p").length, 2);
+    $(".p").unwrap().unwrap();
+    assert.strictEqual(document.querySelectorAll("#root > .p").length, 2);
+    $(".p").wrapAll(document.createElement("section"));
+    assert.deepStrictEqual(texts(document.querySelectorAll("#root > section > .p")), [ "1", "2" ]);
+    $("section").wrapInner(function(index) { return `<article data-index="${index}"></article>`; });
+    assert.strictEqual(document.querySelectorAll("section > article[data-index='0'] > .p").length, 2);
+    let clicks = 0;
+    let detached = $("em").on("click", () => clicks++).data("key", 2).detach();
+    assert.strictEqual(document.querySelector("em"), null);
+    detached.appendTo("#root");
+    detached[0].click();
+    assert.strictEqual(clicks, 1);
+    assert.strictEqual(detached.data("key"), 2);
+});
+
+test("clone copies the handlers and the data only if requested, and keeps the state of the form controls", () => {
+    const { document, $ } = setup(`<table><tr id="row"><td><button>delete</button></td><td><input value="a"><input type="checkbox">
+        <select><option>x</option><option>y</option></select></td></tr></table>`);
+    let calls = [];
+    $("#row").on("click.row", "button", function() { calls.push(this.closest("tr").id); }).data("id", 1);
+    $("#row button").on("click", () => calls.push("button")).data("action", "delete");
+    $("#row input").first().val("typed");
+    $("#row [type=checkbox]")[0].checked = true;
+    $("#row select").val("y");
+
+    let plain = $("#row").clone().attr("id", "plain").appendTo("table");
+    let shallow = $("#row").clone(true, false).attr("id", "shallow").appendTo("table");
+    let deep = $("#row").clone(true).attr("id", "deep").appendTo("table");
+    [ plain, shallow, deep ].forEach((row) => row.find("button")[0].click());
+    assert.deepStrictEqual(calls, [ "shallow", "button", "deep" ]);
+    assert.strictEqual(plain.data("id"), undefined);
+    assert.strictEqual(shallow.data("id"), 1);
+    assert.strictEqual(shallow.find("button").data("action"), undefined);
+    assert.strictEqual(deep.find("button").data("action"), "delete");
+    assert.deepStrictEqual([ plain.find("input").val(), plain.find("[type=checkbox]")[0].checked, plain.find("select").val() ], [ "typed", true, "y" ]);
+
+    $("#deep").off(".row");
+    deep.find("button")[0].click();
+    document.querySelector("#row button").click();
+    assert.deepStrictEqual(calls.slice(3), [ "button", "button", "row" ]);
+});
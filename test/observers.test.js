@@ -0,0 +1,65 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { JSDOM } = require("jsdom");
+const { createNojQuery } = require("../src/nojquery.js");
+
+/**
+ * Function that creates a jsdom window with fake ResizeObserver and IntersectionObserver (jsdom does not implement them),
+ *      that keep the instances created so that the tests can notify entries
+ */
+function setup(html) {
+    const { window } = new JSDOM(`<!DOCTYPE html><body>${html}</body>`);
+    const observers = { resize: [], intersection: [] };
+    const fake = (list) => class {
+        constructor(callback, options) {
+            Object.assign(this, { callback, options, elements: new Set(), disconnected: false });
+            list.push(this);
+        }
+        observe(element) { this.elements.add(element); }
+        unobserve(element) { this.elements.delete(element); }
+        disconnect() { this.disconnected = true; }
+    };
+    window.ResizeObserver = fake(observers.resize);
+    window.IntersectionObserver = fake(observers.intersection);
+    return { window, document: window.document, observers, $: createNojQuery(window) };
+}
+
+test("on('enterview', options, handler) uses the options and calls the handler with the entry", () => {
+    const { document, observers, $ } = setup("<div id='a'></div>");
+    const a = document.getElementById("a");
+    let calls = [];
+    $("#a").on("enterview", { threshold: 0.5, rootMargin: "10px" }, function(event, entry) {
+        calls.push([ this, event.type, entry.intersectionRatio ]);
+    });
+    assert.strictEqual(observers.intersection.length, 1);
+    assert.deepStrictEqual(observers.intersection[0].options, { threshold: 0.5, rootMargin: "10px" });
+    observers.intersection[0].callback([ { target: a, isIntersecting: true, intersectionRatio: 0.2 } ]);
+    assert.strictEqual(calls.length, 0);
+    observers.intersection[0].callback([ { target: a, isIntersecting: true, intersectionRatio: 0.7 } ]);
+    assert.deepStrictEqual(calls, [ [ a, "enterview", 0.7 ] ]);
+});
+
+test("the options can also be the last parameter, and leaveview is only fired after entering", () => {
+    const { document, observers, $ } = setup("<div id='a'></div>");
+    const a = document.getElementById("a");
+    let calls = [];
+    $("#a").on("enterview leaveview", (event) => calls.push(event.type), { threshold: 0 });
+    const observer = observers.intersection[0];
+    observer.callback([ { target: a, isIntersecting: false, intersectionRatio: 0 } ]);
+    observer.callback([ { target: a, isIntersecting: true, intersectionRatio: 0.1 } ]);
+    observer.callback([ { target: a, isIntersecting: false, intersectionRatio: 0 } ]);
+    assert.deepStrictEqual(calls, [ "enterview", "leaveview" ]);
+    $("#a").off("enterview leaveview");
+    assert.strictEqual(observer.disconnected, true);
+});
+
+test("on('resize') shares a single ResizeObserver, that is disconnected with the last handler", () => {
+    const { document, observers, $ } = setup("<div id='a'></div><div id='b'></div>");
+    let sizes = [];
+    $("#a, #b").on("resize", function(event, entry) { sizes.push([ this.id, entry.width ]); });
+    assert.strictEqual(observers.resize.length, 1);
+    observers.resize[0].callback([ { target: document.getElementById("b"), width: 10 } ]);
+    assert.deepStrictEqual(sizes, [ [ "b", 10 ] ]);
+    $("#a, #b").off("resize");
+    assert.strictEqual(observers.resize[0].disconnected, true);
+});
@@ -0,0 +1,42 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { setup } = require("./helpers.js");
+
+test("the methods set in _$.fn or added using _$.extend are available in every collection", () => {
+    const { $ } = setup("<ul><li class='a'>1</li><li>2</li></ul>");
+    $.fn.highlight = function(color = "yellow") {
+        return this.css("background-color", color);
+    };
+    assert.strictEqual($.extend({ texts() { return Array.from(this, (element) => element.textContent); } }), $);
+    $.fn.extend({ count() { return this.length; } });
+    assert.strictEqual(typeof $.fn.highlight, "function");
+    assert.deepStrictEqual($("li").texts(), [ "1", "2" ]);
+    assert.deepStrictEqual($("ul").find("li").filter(".a").texts(), [ "1" ]);
+    assert.deepStrictEqual($("ul")._$("li").texts(), [ "1", "2" ]);
+    assert.strictEqual($("ul").children().count(), 2);
+    let items = $("li").highlight("red");
+    assert.strictEqual(items[1].style.backgroundColor, "red");
+    assert.ok(items instanceof $);
+});
+
+test("adding a method that clashes with a built-in one warns", (t) => {
+    const { $ } = setup();
+    const warn = t.mock.method(console, "warn", () => {});
+    $.fn.myPlugin = function() {};
+    assert.strictEqual(warn.mock.callCount(), 0);
+    $.fn.addClass = function() { return "overridden"; };
+    $.extend({ map() {} });
+    assert.strictEqual(warn.mock.callCount(), 2);
+    assert.match(warn.mock.calls[0].arguments[0], /addClass/);
+    assert.strictEqual($().addClass("x"), "overridden");
+});
+
+test("_$.extend merges objects, recursively if the first parameter is true", () => {
+    const { $ } = setup();
+    let target = { a: 1, nested: { b: 1, list: [ 1 ] } };
+    assert.strictEqual($.extend(target, { a: 2 }, { c: 3 }), target);
+    assert.deepStrictEqual(target, { a: 2, nested: { b: 1, list: [ 1 ] }, c: 3 });
+    let deep = $.extend(true, {}, target, { nested: { d: 4, list: [ 5, 6 ] } });
+    assert.deepStrictEqual(deep, { a: 2, nested: { b: 1, d: 4, list: [ 5, 6 ] }, c: 3 });
+    assert.deepStrictEqual(target.nested, { b: 1, list: [ 1 ] });
+});
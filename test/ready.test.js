@@ -0,0 +1,79 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { setup } = require("./helpers.js");
+
+/**
+ * Function that makes the document report a ready state (e.g. "loading" to simulate a document that is being parsed)
+ */
+function stubReadyState(document, state) {
+    Object.defineProperty(document, "readyState", { configurable: true, get: () => state.value });
+}
+
+test("late ready callbacks run right away, bound to the document, and the promise resolves to $", async () => {
+    const { document, $ } = setup();
+    stubReadyState(document, { value: "interactive" });
+    let calls = [];
+    let promise = $.ready(function(arg) { calls.push([this, arg]); });
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0][0], document);
+    assert.strictEqual(calls[0][1], $);
+    assert.strictEqual(await promise, $);
+    assert.strictEqual(await $.ready(), $);
+    $(function() { calls.push("factory"); });
+    $(document).ready(function() { calls.push("fn"); });
+    assert.deepStrictEqual(calls.slice(1), ["factory", "fn"]);
+});
+
+test("ready callbacks registered while the document is loading wait for DOMContentLoaded, in order", async () => {
+    const { window, document, $ } = setup();
+    let state = { value: "loading" };
+    stubReadyState(document, state);
+    let calls = [];
+    $.ready(() => calls.push(1));
+    let promise = $.ready();
+    $(() => calls.push(2));
+    assert.deepStrictEqual(calls, []);
+    state.value = "interactive";
+    // A callback registered before the event fires still runs after the queued ones
+    $.ready(() => calls.push(3));
+    document.dispatchEvent(new window.Event("DOMContentLoaded"));
+    assert.strictEqual(await promise, $);
+    assert.deepStrictEqual(calls, [1, 2, 3]);
+});
+
+test("an error in a ready callback is reported and does not stop the rest", async () => {
+    const { window, document, $ } = setup();
+    let state = { value: "loading" };
+    stubReadyState(document, state);
+    let errors = [];
+    let consoleError = console.error;
+    console.error = (...args) => errors.push(args);
+    try {
+        let calls = [];
+        $.ready(() => { throw new Error("boom"); });
+        $.ready(() => calls.push("after"));
+        document.dispatchEvent(new window.Event("DOMContentLoaded"));
+        await $.ready();
+        assert.deepStrictEqual(calls, ["after"]);
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(errors[0][1].message, "boom");
+    } finally {
+        console.error = consoleError;
+    }
+});
+
+test("loaded waits for the load event of the window unless the document is complete", async () => {
+    const { window, document, $ } = setup();
+    let state = { value: "interactive" };
+    stubReadyState(document, state);
+    let calls = [];
+    let promise = $.loaded(function() { calls.push(this); });
+    assert.deepStrictEqual(calls, []);
+    state.value = "complete";
+    window.dispatchEvent(new window.Event("load"));
+    assert.strictEqual(await promise, $);
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0], document);
+    $.loaded(() => calls.push("late"));
+    assert.strictEqual(calls[1], "late");
+});
@@ -0,0 +1,31 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { setup } = require("./helpers.js");
+
+/**
+ * Function that sanitizes a string of HTML and returns the resulting HTML
+ */
+function sanitize($, html) {
+    let container = $.parseHTML("<div></div>")[0];
+    container.append(...$.parseHTML(html, { sanitize: true }));
+    return container.innerHTML;
+}
+
+test("the unsafe elements, event handlers and URLs are removed", () => {
+    const { $ } = setup();
+    assert.strictEqual(sanitize($, "<p onclick='alert(1)'>text</p><script>alert(1)</script>"), "<p>text</p>");
+    assert.strictEqual(sanitize($, "<img src='x' onerror='alert(1)'>"), '<img src="x">');
+    assert.strictEqual(sanitize($, "<a href=' java\tscript:alert(1)'>link</a>"), "<a>link</a>");
+    assert.strictEqual(sanitize($, "<img src='data:image/png;base64,AA=='>"), '<img src="data:image/png;base64,AA==">');
+    assert.strictEqual(sanitize($, "<iframe srcdoc='<script>alert(1)</script>'></iframe>"), "");
+});
+
+test("the SVG animations cannot set javascript: URLs", () => {
+    const { $ } = setup();
+    let html = sanitize($, "<svg><a><animate attributeName='href' values='https://example.com;javascript:alert(1)'></animate>" +
+        "<set attributeName='href' to='javascript:alert(1)'></set><text>click</text></a></svg>");
+    assert.doesNotMatch(html, /javascript:/i);
+    assert.match(html, /<animate attributeName="href"/);
+    let safe = sanitize($, "<svg><rect><animate attributeName='width' from='0' to='10'></animate></rect></svg>");
+    assert.match(safe, /from="0" to="10"/);
+});
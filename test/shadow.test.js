@@ -0,0 +1,39 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { setup } = require("./helpers.js");
+
+/**
+ * Function that builds a document with nested shadow roots:
+ *      #outer (shadow: #s1-first, #inner (shadow: #s2-first, #s2-last), #s1-last) with the light child #light, then #after
+ */
+function nestedShadowRoots() {
+    const context = setup("<div id='outer'><p id='light'></p></div><p id='after'></p>");
+    const { document } = context;
+    let outer = document.getElementById("outer").attachShadow({ mode: "open" });
+    outer.innerHTML = "<p id='s1-first'></p><section id='inner'></section><p id='s1-last'></p>";
+    let inner = outer.getElementById("inner").attachShadow({ mode: "open" });
+    inner.innerHTML = "<p id='s2-first'></p><p id='s2-last'></p>";
+    return Object.assign(context, { outer, inner });
+}
+
+const ids = (collection) => Array.from(collection, (element) => element.id);
+
+test("find with deep sorts the elements of nested shadow roots in composed tree order", () => {
+    const { $ } = nestedShadowRoots();
+    const expected = [ "s1-first", "s2-first", "s2-last", "s1-last", "light", "after" ];
+    assert.deepStrictEqual(ids($().find("p", { deep: true })), expected);
+    assert.deepStrictEqual(ids($("body").find("p", { deep: true })), expected);
+    assert.deepStrictEqual(ids($().find("p")), [ "light", "after" ]);
+});
+
+test("the collections that mix elements of several shadow roots are sorted consistently", () => {
+    const { document, $, outer, inner } = nestedShadowRoots();
+    let elements = [
+        document.getElementById("after"), inner.getElementById("s2-last"), document.getElementById("light"),
+        outer.getElementById("inner"), outer.getElementById("s1-last"), inner.getElementById("s2-first"),
+        document.getElementById("outer"), outer.getElementById("s1-first")
+    ];
+    const expected = [ "outer", "s1-first", "inner", "s2-first", "s2-last", "s1-last", "light", "after" ];
+    assert.deepStrictEqual(ids($(elements)), expected);
+    assert.deepStrictEqual(ids($(elements.slice().reverse())), expected);
+});
@@ -0,0 +1,54 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { setup } = require("./helpers.js");
+
+const html = "<ul id='a'><li class='x'>1</li></ul><ul id='b'><li>2</li></ul><ul id='c'></ul>";
+
+test("has accepts css selectors, elements, collections and functions", () => {
+    const { document, $ } = setup(html);
+    const ids = (collection) => Array.from(collection, (element) => element.id);
+    assert.deepStrictEqual(ids($("ul").has(".x")), [ "a" ]);
+    assert.deepStrictEqual(ids($("ul").has(document.querySelector("#b li"))), [ "b" ]);
+    assert.deepStrictEqual(ids($("ul").has($("li"))), [ "a", "b" ]);
+    assert.deepStrictEqual(ids($("ul").has(Array.from(document.querySelectorAll("ul")))), []);
+    assert.deepStrictEqual(ids($("ul").has(function() { return this.textContent === "2"; })), [ "b" ]);
+});
+
+test("not and filter accept the same selectors", () => {
+    const { document, $ } = setup(html);
+    assert.strictEqual($("ul").not($("#a, #c")).attr("id"), "b");
+    assert.strictEqual($("ul").filter((i) => i === 2).attr("id"), "c");
+    assert.strictEqual($("ul").filter(function() { return this.id === "b"; }).attr("id"), "b");
+    assert.strictEqual($("ul").filter("#a").attr("id"), "a");
+    assert.strictEqual($("ul").filter(document.getElementById("c")).attr("id"), "c");
+    assert.deepStrictEqual(Array.from($("ul").filter($("#a, #c")), (element) => element.id), [ "a", "c" ]);
+    assert.deepStrictEqual(Array.from($("ul").filter([ document.getElementById("b") ]), (element) => element.id), [ "b" ]);
+    assert.strictEqual($("ul").not("#a").filter(":empty").attr("id"), "c");
+    assert.strictEqual($("li").is(".x"), true);
+});
+
+test("the collections are unique and in document order only when merging several sources", () => {
+    const { document, $ } = setup(html);
+    const ids = (collection) => Array.from(collection, (element) => element.id);
+    assert.deepStrictEqual(ids($("#c", "#a", "ul")), [ "a", "b", "c" ]);
+    assert.deepStrictEqual(ids($([ document.getElementById("b"), document.getElementById("a"), document.getElementById("b") ])), [ "a", "b" ]);
+    assert.strictEqual($("#a")._$("li").add("ul li").length, 2);
+    assert.strictEqual($("li", "#a li").length, 2);
+    assert.deepStrictEqual(Array.from($("<p>1</p><p>2</p>"), (element) => element.textContent), [ "1", "2" ]);
+});
+
+test("the elements of a single query are not sorted again", () => {
+    const { window, $ } = setup(html);
+    let comparisons = 0;
+    const compareDocumentPosition = window.Node.prototype.compareDocumentPosition;
+    window.Node.prototype.compareDocumentPosition = function(...args) {
+        comparisons++;
+        return compareDocumentPosition.apply(this, args);
+    };
+    $("ul");
+    $("li");
+    $("<p>1</p><p>2</p>");
+    assert.strictEqual(comparisons, 0);
+    $("li", "ul");
+    assert.ok(comparisons > 0);
+});
@@ -0,0 +1,43 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { setup } = require("./helpers.js");
+
+test("int, float and bool keep the lenient conversions unless in strict mode", () => {
+    const { document, $ } = setup("<div id='box' data-size='12px' data-visible='off' foo='bar'></div>");
+    assert.strictEqual($.types.parse("-12", "int"), -12);
+    assert.strictEqual($.types.parse("12px", "int"), 12);
+    assert.strictEqual($.types.parse("abc", "int", 3), 3);
+    assert.strictEqual($.types.parse("1.5e3", "float"), 1500);
+    assert.strictEqual($.types.parse("1.5px", "float"), 1.5);
+    assert.strictEqual($.types.parse("", "float"), null);
+    assert.deepStrictEqual([ "", "true", "1", "FALSE", "0", "off", "no" ].map((value) => $.types.parse(value, "bool")), [ true, true, true, false, false, false, false ]);
+    assert.deepStrictEqual($.types.parse("1, 2 3", "list(int)"), [ 1, 2, 3 ]);
+    assert.strictEqual($("#box").data("size:int"), 12);
+    assert.strictEqual($("#box").data("visible:bool"), false);
+    assert.strictEqual($("#box").attr("foo:unknowntype"), "bar");
+    assert.strictEqual($("#box").attr("missing:unknowntype=5"), "5");
+    document.getElementById("box").setAttribute("foo", "baz");
+    assert.strictEqual($("#box").attr("foo:unknowntype"), "baz");
+});
+
+test("int, float and bool only accept valid values in strict mode", () => {
+    const { $ } = setup();
+    $.types.strict = true;
+    assert.strictEqual($.types.parse("-12", "int"), -12);
+    assert.throws(() => $.types.parse("12px", "int"), TypeError);
+    assert.strictEqual($.types.parse("1.5e3", "float"), 1500);
+    assert.throws(() => $.types.parse("", "float"), TypeError);
+    assert.deepStrictEqual([ "", "true", "1", "FALSE", "0" ].map((value) => $.types.parse(value, "bool")), [ true, true, true, false, false ]);
+    assert.throws(() => $.types.parse("off", "bool"), TypeError);
+});
+
+test("the conversions that fail throw a TypeError in strict mode", () => {
+    const { document, $ } = setup("<div id='grid' data-columns='3col' data-visible='yes'></div>");
+    $.types.strict = true;
+    assert.throws(() => $("#grid").data("columns:int"), TypeError);
+    assert.throws(() => $("#grid").data("visible:bool"), TypeError);
+    assert.throws(() => $.types.parse("1.5px", "float"), TypeError);
+    assert.throws(() => $.types.parse("1,x", "list(int)"), TypeError);
+    document.getElementById("grid").dataset.columns = "4";
+    assert.strictEqual($("#grid").data("columns:int"), 4);
+});